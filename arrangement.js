@@ -0,0 +1,158 @@
+/**
+ * @typedef {import("./schedule.js").Track} Track
+ */
+
+/**
+ * @typedef {object} Section
+ * @property {Track[]} tracks - the track indexes carry on between sections, so each index keeps its instruments and bus
+ * @property {number} length - in cycles
+ */
+
+/**
+ * @typedef {object} Arrangement - a song made of sections, which can be passed to the scheduler instead of tracks
+ * @property {Record<string, Section>} sections
+ * @property {(string | [string, number])[]} timeline - section names in the order they play, optionally with a repeat count: `["intro", ["A", 2], "B", "A", "outro"]`
+ * @property {boolean=} loop - start over from the beginning of the timeline after it ends, instead of going silent (default)
+ */
+
+/**
+ * Where the scheduler is in an arrangement
+ */
+export const createPlayhead = () =>
+  Object.seal({
+    /** @type {Arrangement | null} */
+    arrangement: null,
+    /** @type {string | null} the section that's playing, or null if the arrangement has ended */
+    section: null,
+    /** index in the timeline, or -1 for sections that were jumped to but aren't in the timeline */
+    step: 0,
+    /** how many times the step has already repeated */
+    repeat: 0,
+    /** where the section started, in cycles, or NaN if the arrangement hasn't started yet */
+    startsAt: Number.NaN,
+    /** @type {string | null} the section `goTo` will jump to */
+    nextSection: null,
+    /** where the jump happens, in cycles */
+    nextAt: Number.POSITIVE_INFINITY,
+  });
+
+/**
+ * @typedef {ReturnType<typeof createPlayhead>} Playhead
+ */
+
+/**
+ * Starts playing `arrangement` at `at`: from the section `goTo` asked for, the section that was playing before stopping,
+ * or the beginning of the timeline
+ * @param {Playhead} playhead
+ * @param {Arrangement} arrangement
+ * @param {number} at - in cycles
+ */
+export const startPlayhead = (playhead, arrangement, at) => {
+  if (playhead.arrangement !== arrangement) {
+    playhead.arrangement = arrangement;
+    playhead.section = null;
+  }
+
+  if (arrangement.timeline.length === 0) throw new Error("The arrangement's timeline is empty");
+
+  const name = playhead.nextSection ?? playhead.section ?? stepName(arrangement.timeline[0]);
+  jumpTo(playhead, name);
+  playhead.startsAt = at;
+};
+
+/**
+ * Where the current section ends, or where `goTo` cuts it short, in cycles
+ * @param {Playhead} playhead
+ */
+export const sectionEndsAt = (playhead) => {
+  const { arrangement, section, startsAt, nextAt } = playhead;
+  if (!arrangement || section === null) return nextAt;
+
+  return Math.min(startsAt + findSection(arrangement, section).length, nextAt);
+};
+
+/**
+ * Moves on to the next section, which starts at `at`
+ * @param {Playhead} playhead
+ * @param {number} at - in cycles
+ */
+export const advancePlayhead = (playhead, at) => {
+  const { arrangement, nextSection, step } = playhead;
+  if (!arrangement) return;
+
+  playhead.startsAt = at;
+
+  if (nextSection !== null) return jumpTo(playhead, nextSection);
+
+  // Sections outside the timeline keep repeating until the next `goTo`
+  if (step === -1) return;
+
+  const { timeline, loop = false } = arrangement;
+  if (playhead.repeat + 1 < stepRepeats(timeline[step])) {
+    playhead.repeat++;
+    return;
+  }
+
+  playhead.repeat = 0;
+  playhead.step = step + 1 < timeline.length ? step + 1 : loop ? 0 : timeline.length;
+  playhead.section = playhead.step < timeline.length ? stepName(timeline[playhead.step]) : null;
+};
+
+/**
+ * Makes the playhead jump to `section` at `at`, instead of continuing the timeline
+ * @param {Playhead} playhead
+ * @param {string} section
+ * @param {number} at - in cycles
+ */
+export const queueSection = (playhead, section, at) => {
+  if (playhead.arrangement) findSection(playhead.arrangement, section);
+
+  playhead.nextSection = section;
+  playhead.nextAt = at;
+};
+
+/**
+ * The most tracks any section has
+ * @param {Arrangement} arrangement
+ */
+export const countTracks = (arrangement) => {
+  let count = 0;
+  for (const name in arrangement.sections) count = Math.max(count, arrangement.sections[name].tracks.length);
+  return count;
+};
+
+/**
+ * @param {Arrangement} arrangement
+ * @param {string} name
+ */
+export const findSection = (arrangement, name) => {
+  const section = arrangement.sections[name];
+  if (!section) throw new Error(`The arrangement has no section called "${name}"`);
+  if (!(section.length > 0)) throw new Error(`Section "${name}" needs a length above 0 cycles`);
+  return section;
+};
+
+/**
+ * @param {Playhead} playhead
+ * @param {string} name
+ */
+const jumpTo = (playhead, name) => {
+  const { arrangement } = playhead;
+  findSection(arrangement, name);
+
+  playhead.section = name;
+  playhead.step = arrangement.timeline.findIndex((step) => stepName(step) === name);
+  playhead.repeat = 0;
+  playhead.nextSection = null;
+  playhead.nextAt = Number.POSITIVE_INFINITY;
+};
+
+/**
+ * @param {string | [string, number]} step
+ */
+const stepName = (step) => (typeof step === "string" ? step : step[0]);
+
+/**
+ * @param {string | [string, number]} step
+ */
+const stepRepeats = (step) => (typeof step === "string" ? 1 : step[1]);
@@ -0,0 +1,54 @@
+/**
+ * @typedef {object} TimedEvent
+ * @property {number} at - when it's heard, in the AudioContext's time (seconds)
+ * @property {number} time - when it's heard, predicted in `performance.now()` time (milliseconds)
+ */
+
+/**
+ * @typedef {TimedEvent & { track: number, note: number, duration: number, velocity: number, volume: number }} NoteHook
+ * @typedef {TimedEvent & { cycle: number }} CycleHook
+ * @typedef {TimedEvent & { bar: number }} BarHook
+ */
+
+/**
+ * Holds on to the scheduler's events until they can actually be heard.
+ * The scheduler emits events up to `playAhead` early, so visuals reacting to them immediately would run ahead of the audio.
+ * Wrap your callbacks with `defer`, and call `flush` in a `requestAnimationFrame` loop.
+ */
+export const createEventQueue = () => {
+  /** @type {{ time: number, callback: (event: any) => void, event: TimedEvent }[]} sorted by `time` */
+  const queue = [];
+
+  return {
+    /**
+     * Wraps `callback`, so the events passed to it get queued instead
+     * @template {TimedEvent} Event
+     * @param {(event: Event) => void} callback
+     * @returns {(event: Event) => void}
+     */
+    defer: (callback) => (event) => {
+      // The scheduler reuses its event objects, so they have to be copied
+      const entry = { time: event.time, callback, event: { ...event } };
+
+      // Events mostly arrive in order, so search from the end
+      let index = queue.length;
+      while (index > 0 && queue[index - 1].time > entry.time) index--;
+      queue.splice(index, 0, entry);
+    },
+    /**
+     * Calls the callbacks of every event that should be audible by `now`
+     * @param {number} now - in `performance.now()` time, like the `requestAnimationFrame` timestamp
+     */
+    flush: (now = performance.now()) => {
+      let count = 0;
+      while (count < queue.length && queue[count].time <= now) count++;
+      if (count === 0) return;
+
+      for (const { callback, event } of queue.splice(0, count)) callback(event);
+    },
+    /** Forgets every queued event, e.g. after stopping the music */
+    clear: () => {
+      queue.length = 0;
+    },
+  };
+};
@@ -1,8 +1,5 @@
-import * as instrumentPresets from "../instrumentPresets.js";
 import dattorroReverb from "./dattorro-reverb.js?url";
 
-const allInstruments = new Map(Object.entries(instrumentPresets).map(([name, preset]) => [preset, name]));
-
 export const defaultReverbOptions = {
   preDelay: 0.013, // could be up to 0.04ms before being obvious
   bandwidth: 0.854,
@@ -85,19 +82,18 @@ export const AudioSystem = () => {
   const panningCycle = 17;
   const panningPositions = 29;
   const panningSpread = 0.2;
-  let panningIndex = Math.round(Math.random() * 10);
 
   const connectInstrument = (
-    /** @type {ReturnType<typeof import("../instruments.js").createInstrument>} */ instrument,
+    /** @type {import("../trackBus.js").TrackBus} */ bus,
+    /** @type {number} */ trackIndex,
   ) => {
-    const panningPosition = (panningCycle * panningIndex++) % panningPositions;
+    // Spread the tracks around, the same way every time
+    const panningPosition = (panningCycle * trackIndex) % panningPositions;
     const pan = panningSpread * ((panningPosition / panningPositions) * 2.0 - 1.0);
-    console.log("connecting instrument", allInstruments.get(instrument?.preset), "panned by", pan);
-
-    const panner = new StereoPannerNode(audioContext, { pan });
+    console.log("connecting track", trackIndex, "panned by", pan);
 
-    panner.connect(musicCompressor);
-    instrument.output.connect(panner);
+    bus.panner.pan.value = pan;
+    bus.output.connect(musicCompressor);
   };
 
   return {
@@ -0,0 +1,143 @@
+// Checks the sequence compiler and the scheduler without any real audio: run it with `node example/check.js`.
+// Throws if something doesn't play the notes it should.
+import assert from "node:assert/strict";
+
+// The instruments create Web Audio nodes, so they get fakes that just remember their connections
+class FakeParam {
+  value = 0.0;
+  setValueAtTime() {}
+  setTargetAtTime() {}
+  linearRampToValueAtTime() {}
+  exponentialRampToValueAtTime() {}
+  cancelScheduledValues() {}
+}
+
+class FakeNode {
+  frequency = new FakeParam();
+  detune = new FakeParam();
+  gain = new FakeParam();
+  pan = new FakeParam();
+  Q = new FakeParam();
+  /** @type {FakeNode[]} */
+  connections = [];
+
+  /** @param {FakeNode} node */
+  connect(node) {
+    this.connections.push(node);
+    return node;
+  }
+  disconnect() {
+    this.connections.length = 0;
+  }
+  start() {}
+  stop() {}
+}
+
+Object.assign(globalThis, {
+  GainNode: class extends FakeNode {},
+  BiquadFilterNode: class extends FakeNode {},
+  OscillatorNode: class extends FakeNode {},
+  StereoPannerNode: class extends FakeNode {},
+  WaveShaperNode: class extends FakeNode {},
+});
+
+// Imported only now, since instruments.js extends `OscillatorNode`
+const { compileSequence } = await import("../sequence.js");
+const { scheduleMusic } = await import("../schedule.js");
+const { genericInstrument } = await import("../instrumentPresets.js");
+
+/**
+ * @param {import("../sequence.js").NoteEvent[]} events
+ */
+const notesOf = (events) => events.map(({ note, at, duration }) => [note, at, duration]);
+
+// Arrays subdivide the time of their parent
+assert.deepEqual(notesOf(compileSequence([0, [2, 4]], { cycle: 2.0 })), [
+  [0, 0.0, 1.0],
+  [2, 1.0, 0.5],
+  [4, 1.5, 0.5],
+]);
+
+// Extenders continue the previous note, and nulls are rests
+assert.deepEqual(notesOf(compileSequence([0, undefined, 2, null])), [
+  [0, 0.0, 0.5],
+  [2, 0.5, 0.25],
+]);
+
+// Notes that start before `from` are skipped, even if they're still playing
+assert.deepEqual(notesOf(compileSequence([0, undefined, 2, 4], { from: 0.25, to: 1.0 })), [
+  [2, 0.5, 0.25],
+  [4, 0.75, 0.25],
+]);
+
+// Notes that start before `to` get their full duration, even from the next cycle
+assert.deepEqual(notesOf(compileSequence([undefined, 0, 2, 4], { from: 0.5, to: 1.0 })), [
+  [2, 0.5, 0.25],
+  [4, 0.75, 0.5],
+]);
+
+// Grooves and jitter don't move notes before `from` either
+for (const event of compileSequence([0, 1, { timingJitter: 0.05 }], { from: 0.0, to: 1.0 })) assert.ok(event.at >= 0.0);
+for (const event of compileSequence([0, 1, 2, { groove: "vienneseWaltz" }], { from: 1 / 3, to: 1.0 })) {
+  assert.ok(event.at >= 1 / 3);
+}
+
+// The scheduler, with a fake clock that only moves when told to
+let now = 0.0;
+const host = {
+  currentTime: () => now,
+  isThrottled: () => false,
+  scheduleAheadBy: (/** @type {number} */ playAhead) => playAhead,
+  startTicking: () => () => {},
+  performanceTime: (/** @type {unknown} */ _audioContext, /** @type {number} */ at) => at * 1000.0,
+};
+
+// Each AudioContext gets its own schedule
+const createFakeContext = () =>
+  /** @type {AudioContext} */ (
+    /** @type {unknown} */ ({ currentTime: 0.0, state: "running", destination: new FakeNode() })
+  );
+const audioContext = createFakeContext();
+
+/** @type {[number, number, number][]} */
+const played = [];
+const options = {
+  host,
+  playAhead: 0.5,
+  onNote: (/** @type {import("../events.js").NoteHook} */ { note, at, duration }) => played.push([note, at, duration]),
+};
+
+/** @type {import("../schedule.js").Track[]} */
+const tracks = [[genericInstrument, [0, 2, [4, 5], 7]]];
+const connectInstrument = (/** @type {import("../trackBus.js").TrackBus} */ bus) =>
+  bus.output.connect(audioContext.destination);
+
+for (; now < 2.0; now += 0.5) scheduleMusic(tracks, 2.0, audioContext, connectInstrument, options);
+
+assert.deepEqual(played, [
+  [0, 0.0, 0.5],
+  [2, 0.5, 0.5],
+  [4, 1.0, 0.25],
+  [5, 1.25, 0.25],
+  [7, 1.5, 0.5],
+]);
+
+// Notes still playing when a section ends stop there, instead of continuing into the section's next cycle
+const arrangement = {
+  sections: {
+    A: { tracks: [[genericInstrument, [undefined, 0]]], length: 1 },
+    B: { tracks: [[genericInstrument, [5]]], length: 1 },
+  },
+  timeline: ["A", "B"],
+};
+const sectionContext = createFakeContext();
+played.length = 0;
+
+for (now = 0.0; now < 2.0; now += 0.5) scheduleMusic(arrangement, 1.0, sectionContext, connectInstrument, options);
+
+assert.deepEqual(played, [
+  [0, 0.5, 0.5],
+  [5, 1.0, 1.0],
+]);
+
+console.log("Everything played the notes it should");
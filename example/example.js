@@ -1,5 +1,5 @@
 import { midiToJustFrequency } from "../notes";
-import { scheduleMusic } from "../schedule";
+import { createMusicController } from "../schedule";
 import { AudioSystem } from "./AudioSystem";
 import { AudioVisualizer } from "./AudioVisualizer";
 import { heavensTower } from "./heavens-tower";
@@ -12,17 +12,17 @@ const audioSystem = AudioSystem();
 const playButton = /** @type {HTMLButtonElement} */ (document.getElementById("play"));
 const stopButton = /** @type {HTMLButtonElement} */ (document.getElementById("stop"));
 
-playButton.addEventListener("click", () => audioSystem.audioContext.resume());
-stopButton.addEventListener("click", () => audioSystem.audioContext.suspend());
-
 // Scheduler
-const playAhead = 0.2;
-const scheduleTracks = () => {
-  scheduleMusic(tracks, cycle, audioSystem.audioContext, audioSystem.connectInstrument, {
-    playAhead,
-    numberToFrequency: midiToJustFrequency,
-  });
-};
+const music = createMusicController(tracks, cycle, audioSystem.audioContext, audioSystem.connectInstrument, {
+  playAhead: 0.2,
+  numberToFrequency: midiToJustFrequency,
+});
+
+playButton.addEventListener("click", async () => {
+  await audioSystem.audioContext.resume();
+  music.start();
+});
+stopButton.addEventListener("click", () => music.stop({ fadeOut: 1.0 }));
 
 // Visualizer
 const canvas = /** @type {HTMLCanvasElement} */ (document.getElementById("visualizer"));
@@ -34,9 +34,3 @@ const loop = () => {
 };
 
 requestAnimationFrame(loop);
-
-// Schedules often, but will be throttled to 1000ms when the page is not visible
-setInterval(scheduleTracks, (playAhead / 2.0) * 1000.0);
-
-// Schedules music when page visibility changes, to avoid a gap
-document.addEventListener("visibilitychange", scheduleTracks);
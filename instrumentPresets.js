@@ -8,6 +8,17 @@
  * @typedef {number} Glide - a `timeConstant`: how slowly the oscillator moves to new note frequencies
  */
 
+/**
+ * @typedef {object} Articulation - multipliers for notes played with `{ articulation: "name" }`
+ * @property {number=} duration
+ * @property {number=} velocity
+ * @property {number=} volume
+ * @property {number=} attack - multiplies the attack `timeConstant`s
+ * @property {number=} decay - multiplies the decay `timeConstant`s
+ * @property {number=} sustain - multiplies the sustain levels
+ * @property {number=} release - multiplies the release `timeConstant`s
+ */
+
 export const genericInstrument = Object.seal({
   /**
    * @typedef {object} Oscillator - creates the sound of the note
@@ -88,11 +99,27 @@ export const genericInstrument = Object.seal({
    */
   /** @type {PeakingFilter[]} A set of `peaking` filters applied to the instrument to shape its timbre. The instrument's overall volume will be automatically lowered to compensate for the highest `gain` filter. */
   peakingFilters: [],
+
+  /** @type {number} General MIDI program number (0–127), used when exporting MIDI files */
+  midiProgram: 0,
+
+  /** @type {number} how many copies of the instrument the scheduler can play at once, across all tracks, before it starts cutting off the oldest notes */
+  maxPolyphony: 16,
+
+  /** @type {Record<string, Articulation>} how the instrument plays each articulation */
+  articulations: {
+    staccato: { duration: 0.5, attack: 0.764, release: 0.618 },
+    tenuto: { attack: 1.146, release: 0.618 },
+    accent: { velocity: 1.236, volume: 1.146, attack: 0.764 },
+    marcato: { duration: 0.764, velocity: 1.382, volume: 1.236, attack: 0.618 },
+    pizzicato: { duration: 0.382, attack: 0.236, release: 0.382 },
+  },
 });
 
 /** @type {Instrument} */
 export const flute = {
   ...genericInstrument,
+  midiProgram: 73,
   oscillators: [
     { type: "sawtooth", gain: 1 / 2, glide: 0.003 },
     { type: "sawtooth", gain: 1 / 2, glide: 0.003 },
@@ -121,6 +148,7 @@ export const flute = {
 /** @type {Instrument} */
 export const piccolo = {
   ...flute,
+  midiProgram: 72,
   highPassFrequency: 587.328,
   lowPassFrequency: 4185.984,
   peakingFilters: [{ frequency: 900, gain: 2.0, Q: 3.0 }],
@@ -129,6 +157,7 @@ export const piccolo = {
 /** @type {Instrument} */
 export const oboe = {
   ...genericInstrument,
+  midiProgram: 68,
   oscillators: [
     { type: "triangle", gain: 1 / 3, glide: 0.003 },
     { type: "pulse", pulseWidth: 1 / 3, gain: 1 / 3, glide: 0.003 },
@@ -157,6 +186,7 @@ export const oboe = {
 /** @type {Instrument} */
 export const bassoon = {
   ...oboe,
+  midiProgram: 70,
   attack: 0.146,
   filterAttack: 0.09,
   release: 0.09,
@@ -172,6 +202,7 @@ export const bassoon = {
 /** @type {Instrument} */
 export const contrabassoon = {
   ...bassoon,
+  midiProgram: 70,
   highPassFrequency: 58.27,
   lowPassFrequency: 466.16,
   peakingFilters: [
@@ -183,6 +214,7 @@ export const contrabassoon = {
 /** @type {Instrument} */
 export const clarinet = {
   ...genericInstrument,
+  midiProgram: 71,
   oscillators: [
     { type: "square", gain: 1 / 3, glide: 0.003 },
     { type: "pulse", pulseWidth: 1 / 4, gain: 1 / 3, glide: 0.003 },
@@ -210,6 +242,7 @@ export const clarinet = {
 /** @type {Instrument} */
 export const saxophone = {
   ...genericInstrument,
+  midiProgram: 65,
   oscillators: [
     { type: "triangle", gain: 1 / 3, glide: 0.003 },
     { type: "pulse", pulseWidth: 1 / 5, gain: 1 / 3, glide: 0.003 },
@@ -244,6 +277,7 @@ export const saxophone = {
 /** @type {Instrument} */
 export const trumpet = {
   ...genericInstrument,
+  midiProgram: 56,
   oscillators: [
     { type: "pulse", pulseWidth: 1 / 6, gain: 2 / 3, glide: 0.003 },
     { type: "triangle", gain: 1 / 3, glide: 0.003 },
@@ -270,11 +304,20 @@ export const trumpet = {
     { frequency: 1200, gain: 2.0, Q: 3.0 },
     { frequency: 2200, gain: 3.0, Q: 3.0 },
   ],
+
+  // Tonguing makes brass accents much punchier
+  articulations: {
+    ...genericInstrument.articulations,
+    staccato: { duration: 0.382, attack: 0.618, release: 0.618 },
+    accent: { velocity: 1.382, volume: 1.236, attack: 0.618 },
+    marcato: { duration: 0.618, velocity: 1.618, volume: 1.382, attack: 0.5 },
+  },
 };
 
 /** @type {Instrument} */
 export const trombone = {
   ...trumpet,
+  midiProgram: 57,
   attack: 0.146,
   filterAttack: 0.056,
   release: 0.09,
@@ -292,6 +335,7 @@ export const trombone = {
 /** @type {Instrument} */
 export const frenchHorn = {
   ...trombone,
+  midiProgram: 60,
   highPassFrequency: 55.0,
   lowPassFrequency: 698.46 * 2.0,
   peakingFilters: [{ frequency: 340, gain: 2.0, Q: 3.0 }],
@@ -300,6 +344,7 @@ export const frenchHorn = {
 /** @type {Instrument} */
 export const tuba = {
   ...frenchHorn,
+  midiProgram: 58,
   highPassFrequency: 36.71,
   lowPassFrequency: 349.23 * 2.0,
   peakingFilters: [
@@ -311,6 +356,7 @@ export const tuba = {
 /** @type {Instrument} */
 export const violin = {
   ...genericInstrument,
+  midiProgram: 40,
   oscillators: [
     { type: "sawtooth", gain: 1 / 2, glide: 0.002 },
     { type: "sawtooth", gain: 1 / 2, glide: 0.003 },
@@ -337,11 +383,20 @@ export const violin = {
     { frequency: 1000, gain: 4, Q: 3.5 },
     { frequency: 2900, gain: 5, Q: 2.0 },
   ],
+
+  // The bow bites into short notes, and plucking lets the string ring out without sustain
+  articulations: {
+    ...genericInstrument.articulations,
+    staccato: { duration: 0.618, attack: 0.618, release: 0.764 },
+    tenuto: { attack: 1.382, release: 0.764 },
+    pizzicato: { duration: 0.618, attack: 0.146, decay: 0.618, sustain: 0.0, release: 0.382 },
+  },
 };
 
 /** @type {Instrument} */
 export const viola = {
   ...violin,
+  midiProgram: 41,
   highPassFrequency: 130.8,
   lowPassFrequency: 2093.005 / 2.0,
 
@@ -358,6 +413,7 @@ export const viola = {
 /** @type {Instrument} */
 export const cello = {
   ...viola,
+  midiProgram: 42,
   attack: 0.146,
   filterAttack: 0.09,
   release: 0.09,
@@ -378,6 +434,7 @@ export const cello = {
 /** @type {Instrument} */
 export const contrabass = {
   ...cello,
+  midiProgram: 43,
   highPassFrequency: 41.2,
   lowPassFrequency: 523.25, // intentionally not divided for tracking
 
@@ -392,6 +449,7 @@ export const contrabass = {
 };
 
 const plucked = {
+  midiProgram: 45,
   /** @type {Instrument["oscillators"]} */
   oscillators: [
     { type: "pulse", pulseWidth: 1 / 3, gain: 1 / 2 },
@@ -410,6 +468,14 @@ const plucked = {
   vibratoEffectOnPitch: 0.0,
   vibratoEffectOnVolume: 0.0,
   vibratoEffectOnLowpass: 0.0,
+
+  // Already plucked, so short notes are damped instead
+  articulations: {
+    ...genericInstrument.articulations,
+    staccato: { duration: 0.5, decay: 0.382 },
+    tenuto: { decay: 1.382 },
+    pizzicato: {},
+  },
 };
 
 /** @type {Instrument} */
@@ -439,6 +505,7 @@ export const pluckedContrabass = {
 /** @type {Instrument} */
 export const hammeredDulcimer = {
   ...genericInstrument,
+  midiProgram: 15,
   oscillators: [
     { type: "pulse", pulseWidth: 1 / 5, glide: 0.001, gain: 1 / 2, pitchMultiplier: 1.005 },
     { type: "pulse", pulseWidth: 1 / 6, glide: 0.001, gain: 1 / 2, pitchMultiplier: 1.005 },
@@ -472,6 +539,7 @@ export const hammeredDulcimer = {
 /** @type {Instrument} */
 export const piano = {
   ...genericInstrument,
+  midiProgram: 0,
   oscillators: [
     { type: "square", gain: 2 / 4, glide: 0.001, pitchMultiplier: 1.005 },
     { type: "pulse", pulseWidth: 1 / 4, gain: 1 / 4, glide: 0.001, pitchMultiplier: 1.005 },
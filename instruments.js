@@ -1,6 +1,6 @@
 /**
   @param {import ("./instrumentPresets.js").Instrument} preset
-  @param {AudioContext} audioContext
+  @param {BaseAudioContext} audioContext
 */
 export const createInstrument = (preset, audioContext) => {
   const {
@@ -160,9 +160,28 @@ export const createInstrument = (preset, audioContext) => {
     startedPlayingAt: 0.0,
     willPlayUntil: 0.0,
     previousPitch: 440.0,
+    // Used by `releaseNote`
+    releaseDynamics: 1.0,
+    idleVibratoTarget: idleVibratoFrequency,
+    /** whether the oscillators' detune has been bent by a note's `bend` */
+    bent: false,
   };
 };
 
+// Reused between `playInstrument` calls
+const playOptions = Object.seal({
+  velocity: 1.0,
+  volume: 1.0,
+  vibrato: 0.0,
+  vibratoFrequency: 5.0,
+  duration: 0.0,
+  /** @type {string | undefined} */
+  articulation: undefined,
+});
+
+/**
+  Plays a note for `duration` seconds. An infinite `duration` holds the note until `releaseNote` is called.
+*/
 export const playInstrument = (
   /** @type {ReturnType<typeof createInstrument>} */ instrument,
   /** @type {number} */ pitch,
@@ -172,7 +191,57 @@ export const playInstrument = (
   volume = 1.0,
   vibratoAmount = 0.0,
   vibratoFrequency = 5.0,
+  /** @type {string=} */ articulation = undefined,
 ) => {
+  playOptions.velocity = velocity;
+  playOptions.volume = volume;
+  playOptions.vibrato = vibratoAmount;
+  playOptions.vibratoFrequency = vibratoFrequency;
+  playOptions.duration = duration;
+  playOptions.articulation = articulation;
+
+  const releaseAt = startNote(instrument, pitch, at, playOptions);
+  if (Number.isFinite(releaseAt)) releaseNote(instrument, releaseAt);
+};
+
+// Stands in for the duration of notes of unknown length, when adjusting their dynamics
+const heldNoteDuration = 1.0;
+
+const defaultNoteOptions = {
+  velocity: 1.0,
+  volume: 1.0,
+  vibrato: 0.0,
+  vibratoFrequency: 5.0,
+  duration: Number.POSITIVE_INFINITY,
+  bend: undefined,
+  slide: undefined,
+  articulation: undefined,
+};
+
+/**
+  Starts a note, and holds it until `releaseNote` is called.
+  @param {ReturnType<typeof createInstrument>} instrument
+  @param {number} pitch
+  @param {number} at
+  @param {object} options
+  @param {number=} options.velocity
+  @param {number=} options.volume
+  @param {number=} options.vibrato - vibrato amount
+  @param {number=} options.vibratoFrequency
+  @param {number=} options.duration - how long the note is expected to last, if known: affects its dynamics
+  @param {number[]=} options.bend - pitch curve over the `duration` of the note, in semitones
+  @param {string=} options.articulation - name of one of the preset's `articulations`
+  @returns {number} when the note should be released, based on `duration`
+*/
+export const startNote = (instrument, pitch, at, options = defaultNoteOptions) => {
+  const articulation = findArticulation(instrument.preset, options.articulation);
+  const velocity = (options.velocity ?? defaultNoteOptions.velocity) * (articulation.velocity ?? 1.0);
+  const volume = (options.volume ?? defaultNoteOptions.volume) * (articulation.volume ?? 1.0);
+  const vibratoAmount = options.vibrato ?? defaultNoteOptions.vibrato;
+  const vibratoFrequency = options.vibratoFrequency ?? defaultNoteOptions.vibratoFrequency;
+  const duration = (options.duration ?? defaultNoteOptions.duration) * (articulation.duration ?? 1.0);
+  const articulationSustain = articulation.sustain ?? 1.0;
+
   const {
     oscillators,
     lowPassFilter,
@@ -200,7 +269,6 @@ export const playInstrument = (
     filterAttack = defaultAttack,
     filterDecay = defaultDecay,
     filterSustain = defaultSustain,
-    filterRelease = defaultRelease,
     lowPassFrequency,
     highPassFrequency,
     highPassPitchTracking,
@@ -211,6 +279,8 @@ export const playInstrument = (
   } = preset;
 
   const hasVibrato = vibratoAmount > 0.0;
+  const isHeld = !Number.isFinite(duration);
+  const dynamicDuration = isHeld ? heldNoteDuration : duration;
 
   let highPitchness = (pitch - highPassFrequency) / (lowPassFrequency - highPassFrequency);
   if (highPitchness > 0.0) highPitchness **= 0.41421356;
@@ -231,26 +301,25 @@ export const playInstrument = (
   const glideDynamics = 0.91 + 0.09 * (dynamicSlowness + pitchSameness);
 
   const attackDynamics =
-    mix(1.0, duration, 0.146) *
+    mix(1.0, dynamicDuration, 0.146) *
     (0.854 + 0.146 * 2.0 * lowPitchness) *
     (1.0 + 0.146 * dynamicSlowness) *
-    situationalDynamics;
+    situationalDynamics *
+    (articulation.attack ?? 1.0);
   const releaseDynamics =
-    mix(1.0, duration, 0.146) *
+    mix(1.0, dynamicDuration, 0.146) *
     (0.854 + 0.146 * 2.0 * lowPitchness) *
     (1.0 - 0.146 * dynamicSlowness) *
-    situationalDynamics;
+    situationalDynamics *
+    (articulation.release ?? 1.0);
 
   const defaultDynamicAttack = defaultAttack * attackDynamics;
   const defaultDynamicRelease = defaultRelease * releaseDynamics;
 
   const filterDynamicAttack = filterAttack * attackDynamics;
-  const filterDynamicRelease = filterRelease * releaseDynamics;
 
   const vibratoAttack = defaultDynamicAttack * 0.09;
-  const vibratoRelease = defaultDynamicRelease * 0.09;
   const vibratoGainAttack = defaultDynamicAttack * 0.236;
-  const vibratoGainRelease = defaultDynamicRelease * 0.236;
 
   const highPassTarget =
     highPassPitchTracking < 0.0
@@ -271,13 +340,13 @@ export const playInstrument = (
   // Start and end
   const startAt = at;
   const decayAt = startAt + defaultDynamicAttack * 4.0;
-  let endAt = at + Math.max(duration * 0.618, duration - defaultDynamicRelease);
+  let endAt = isHeld ? Number.POSITIVE_INFINITY : at + Math.max(duration * 0.618, duration - defaultDynamicRelease);
 
   const instabilityStopsAt =
     initialInstability > 0.0 ? Math.min(endAt - Number.EPSILON * 2.0, startAt + filterDynamicAttack * 6.0) : startAt;
   const vibratoAt = Math.min(endAt - Number.EPSILON, instabilityStopsAt + defaultDynamicAttack);
 
-  const shouldDecay = defaultDecay > 0.0 && defaultSustain !== 1.0 && decayAt < endAt;
+  const shouldDecay = defaultDecay > 0.0 && defaultSustain * articulationSustain !== 1.0 && decayAt < endAt;
 
   // Cancel pending events
   lowPassFilter.frequency.cancelScheduledValues(startAt);
@@ -329,9 +398,9 @@ export const playInstrument = (
 
   // Decay if needed
   if (shouldDecay) {
-    const decayDynamics = 0.764 + 0.236 * 2.0 * lowPitchness;
+    const decayDynamics = (0.764 + 0.236 * 2.0 * lowPitchness) * (articulation.decay ?? 1.0);
 
-    const decayDuration = endAt - decayAt;
+    const decayDuration = isHeld ? heldNoteDuration : endAt - decayAt;
     const decayTarget = decayDuration / 2.0;
     const decayInterpolation = 0.333333 * durationImpactOnDecay;
 
@@ -346,12 +415,16 @@ export const playInstrument = (
 
       if (decayImpactOnDuration > 0.0) endAt = Math.max(endAt, decayAt + dynamicDecay * 3.0 * decayImpactOnDuration);
 
-      gainNode.gain.setTargetAtTime(gainTarget * volume * sustain ** sustainDynamics, decayAt, dynamicDecay);
+      gainNode.gain.setTargetAtTime(
+        gainTarget * volume * (sustain * articulationSustain) ** sustainDynamics,
+        decayAt,
+        dynamicDecay,
+      );
     }
 
     // Filters
     const filterDynamicDecay = mix(filterDecay, decayTarget, decayInterpolation) * filterDecayDynamics;
-    const filterDynamicSustain = filterSustain ** sustainDynamics;
+    const filterDynamicSustain = (filterSustain * articulationSustain) ** sustainDynamics;
 
     lowPassFilter.frequency.setTargetAtTime(
       mix(pitch, lowPassTarget, filterDynamicSustain),
@@ -365,23 +438,245 @@ export const playInstrument = (
     );
   }
 
-  // Release
+  scheduleBend(instrument, options.bend, startAt, dynamicDuration);
+
+  // Metadata
+  instrument.startedPlayingAt = startAt;
+  instrument.willPlayUntil = Number.POSITIVE_INFINITY;
+  instrument.previousPitch = pitch;
+  instrument.releaseDynamics = releaseDynamics;
+  instrument.idleVibratoTarget = idleVibratoTarget;
+
+  return endAt;
+};
+
+/** @type {import("./instrumentPresets.js").Articulation} */
+const noArticulation = Object.freeze({});
+
+/**
+  @param {import("./instrumentPresets.js").Instrument} preset
+  @param {string | undefined} name
+*/
+const findArticulation = (preset, name) => {
+  if (!name) return noArticulation;
+
+  const articulation = preset.articulations?.[name];
+  if (!articulation) throw new Error(`The instrument has no articulation called "${name}"`);
+  return articulation;
+};
+
+/**
+  Glides the instrument's current note to a new pitch, without starting a new attack (legato).
+  Cancels the release of the current note, if it hasn't started yet.
+  @param {ReturnType<typeof createInstrument>} instrument
+  @param {number} pitch
+  @param {number} at
+  @param {object} options
+  @param {number=} options.slide - a `timeConstant`: how slowly to glide to the new pitch; defaults to the preset's `glide`
+  @param {number=} options.duration - how long the new note is expected to last, if known
+  @param {number[]=} options.bend - pitch curve over the `duration` of the new note, in semitones
+  @returns {number} when the note should be released, based on `duration`
+*/
+export const slideNote = (instrument, pitch, at, options = defaultNoteOptions) => {
+  const slide = options.slide ?? defaultNoteOptions.slide;
+  const duration = options.duration ?? defaultNoteOptions.duration;
+
+  const {
+    oscillators,
+    lowPassFilter,
+    highPassFilter,
+    vibratoMain,
+    vibratoLowPassGain,
+    vibratoPitchGain,
+    vibratoVolumeGain,
+    preset,
+    releaseDynamics,
+  } = instrument;
+
+  // Cancelling leaves the earlier attack and decay running
+  lowPassFilter.frequency.cancelScheduledValues(at);
+  highPassFilter.frequency.cancelScheduledValues(at);
+  vibratoMain.frequency.cancelScheduledValues(at);
+  vibratoLowPassGain?.gain.cancelScheduledValues(at);
+  vibratoPitchGain?.gain.cancelScheduledValues(at);
+  vibratoVolumeGain?.gain.cancelScheduledValues(at);
+
+  for (const { oscillatorNode, gainNode, pitchMultiplier, glide = preset.glide } of oscillators) {
+    gainNode.gain.cancelScheduledValues(at);
+    oscillatorNode.frequency.cancelScheduledValues(at);
+    oscillatorNode.frequency.setTargetAtTime(pitch * pitchMultiplier, at, slide ?? glide);
+  }
+
+  const isHeld = !Number.isFinite(duration);
+  scheduleBend(instrument, options.bend, at, isHeld ? heldNoteDuration : duration);
+
+  instrument.willPlayUntil = Number.POSITIVE_INFINITY;
+  instrument.previousPitch = pitch;
+
+  if (isHeld) return Number.POSITIVE_INFINITY;
+  return at + Math.max(duration * 0.618, duration - preset.release * releaseDynamics);
+};
+
+/**
+  Ramps the oscillators' detune along `bend`, or resets it if the previous note was bent
+  @param {ReturnType<typeof createInstrument>} instrument
+  @param {number[] | undefined} bend - in semitones
+  @param {number} at
+  @param {number} duration
+*/
+const scheduleBend = (instrument, bend, at, duration) => {
+  if (!bend && !instrument.bent) return;
+
+  for (const { oscillatorNode } of instrument.oscillators) {
+    const { detune } = oscillatorNode;
+    detune.cancelScheduledValues(at);
+
+    if (!bend) {
+      detune.setValueAtTime(0.0, at);
+      continue;
+    }
+
+    detune.setValueAtTime(bend[0] * 100.0, at);
+    for (let index = 1; index < bend.length; index++) {
+      detune.linearRampToValueAtTime(bend[index] * 100.0, at + (duration * index) / (bend.length - 1));
+    }
+  }
+
+  instrument.bent = !!bend;
+};
+
+/**
+  Releases the note started with `startNote`. Does nothing if the note has already been released.
+  @param {ReturnType<typeof createInstrument>} instrument
+  @param {number} at
+*/
+export const releaseNote = (instrument, at) => {
+  if (instrument.willPlayUntil !== Number.POSITIVE_INFINITY) return;
+
+  const {
+    oscillators,
+    lowPassFilter,
+    highPassFilter,
+    vibratoMain,
+    vibratoLowPassGain,
+    vibratoPitchGain,
+    vibratoVolumeGain,
+    preset,
+    releaseDynamics,
+    idleVibratoTarget,
+    previousPitch: pitch,
+  } = instrument;
+  const { release: defaultRelease, filterRelease = defaultRelease } = preset;
+
+  const filterDynamicRelease = filterRelease * releaseDynamics;
+  const vibratoRelease = defaultRelease * releaseDynamics * 0.09;
+  const vibratoGainRelease = defaultRelease * releaseDynamics * 0.236;
+
+  // Cut off any attack or decay still waiting to happen
+  lowPassFilter.frequency.cancelScheduledValues(at);
+  highPassFilter.frequency.cancelScheduledValues(at);
+  vibratoMain.frequency.cancelScheduledValues(at);
+  vibratoLowPassGain?.gain.cancelScheduledValues(at);
+  vibratoPitchGain?.gain.cancelScheduledValues(at);
+  vibratoVolumeGain?.gain.cancelScheduledValues(at);
+
   for (const { gainNode, release = defaultRelease } of oscillators) {
-    gainNode.gain.setTargetAtTime(0.0, endAt, release * releaseDynamics);
+    gainNode.gain.cancelScheduledValues(at);
+    gainNode.gain.setTargetAtTime(0.0, at, release * releaseDynamics);
   }
 
-  lowPassFilter.frequency.setTargetAtTime(pitch, endAt, filterDynamicRelease);
-  highPassFilter.frequency.setTargetAtTime(pitch, endAt, filterDynamicRelease);
+  lowPassFilter.frequency.setTargetAtTime(pitch, at, filterDynamicRelease);
+  highPassFilter.frequency.setTargetAtTime(pitch, at, filterDynamicRelease);
 
-  vibratoMain.frequency.setTargetAtTime(idleVibratoTarget, endAt, vibratoRelease);
-  vibratoLowPassGain?.gain.setTargetAtTime(0.0, endAt, vibratoGainRelease);
-  vibratoPitchGain?.gain.setTargetAtTime(0.0, endAt, vibratoGainRelease);
-  vibratoVolumeGain?.gain.setTargetAtTime(0.0, endAt, vibratoGainRelease);
+  vibratoMain.frequency.setTargetAtTime(idleVibratoTarget, at, vibratoRelease);
+  vibratoLowPassGain?.gain.setTargetAtTime(0.0, at, vibratoGainRelease);
+  vibratoPitchGain?.gain.setTargetAtTime(0.0, at, vibratoGainRelease);
+  vibratoVolumeGain?.gain.setTargetAtTime(0.0, at, vibratoGainRelease);
 
-  // Metadata
-  instrument.startedPlayingAt = startAt;
-  instrument.willPlayUntil = endAt;
-  instrument.previousPitch = pitch;
+  instrument.willPlayUntil = at;
+};
+
+/**
+  Bends the pitch of everything the instrument plays, until bent again.
+  @param {ReturnType<typeof createInstrument>} instrument
+  @param {number} cents
+  @param {number} at
+  @param {number} glide - a `timeConstant`
+*/
+export const bendInstrument = (instrument, cents, at, glide = 0.005) => {
+  for (const { oscillatorNode } of instrument.oscillators) {
+    oscillatorNode.detune.cancelScheduledValues(at);
+    oscillatorNode.detune.setTargetAtTime(cents, at, glide);
+  }
+};
+
+/**
+  Changes the vibrato of a held note.
+  @param {ReturnType<typeof createInstrument>} instrument
+  @param {number} vibratoAmount
+  @param {number} at
+  @param {number} vibratoFrequency
+  @param {number} volume
+*/
+export const modulateInstrument = (instrument, vibratoAmount, at, vibratoFrequency = 5.0, volume = 1.0) => {
+  const { vibratoMain, vibratoLowPassGain, vibratoPitchGain, vibratoVolumeGain, preset, idleVibratoTarget } =
+    instrument;
+  const { vibratoEffectOnLowPass, vibratoEffectOnPitch, vibratoEffectOnVolume } = preset;
+  const glide = 0.013;
+
+  if (vibratoAmount <= 0.0) {
+    vibratoMain.frequency.setTargetAtTime(idleVibratoTarget, at, glide);
+    vibratoLowPassGain?.gain.setTargetAtTime(instrument.idleVibratoLowPassTarget, at, glide);
+    vibratoPitchGain?.gain.setTargetAtTime(instrument.idleVibratoPitchTarget, at, glide);
+    vibratoVolumeGain?.gain.setTargetAtTime(-instrument.idleVibratoVolumeTarget * volume, at, glide);
+    return;
+  }
+
+  vibratoMain.frequency.setTargetAtTime(vibratoFrequency, at, glide);
+  vibratoLowPassGain?.gain.setTargetAtTime(vibratoAmount ** 0.5 * vibratoEffectOnLowPass, at, glide);
+  vibratoPitchGain?.gain.setTargetAtTime(vibratoAmount * vibratoEffectOnPitch, at, glide);
+  vibratoVolumeGain?.gain.setTargetAtTime(vibratoAmount * -vibratoEffectOnVolume * volume, at, glide);
+};
+
+/**
+  Cancels everything scheduled for the instrument from `at` onwards, and fades out whatever it was playing.
+  @param {ReturnType<typeof createInstrument>} instrument
+  @param {number} at
+  @param {number} fadeOut - in seconds
+*/
+export const silenceInstrument = (instrument, at, fadeOut = 0.0) => {
+  const {
+    oscillators,
+    lowPassFilter,
+    highPassFilter,
+    vibratoMain,
+    vibratoLowPassGain,
+    vibratoPitchGain,
+    vibratoVolumeGain,
+  } = instrument;
+
+  // A tiny fade even when stopping immediately, to avoid clicks
+  const timeConstant = Math.max(0.013, fadeOut) / 4.0;
+
+  for (const { oscillatorNode, gainNode } of oscillators) {
+    oscillatorNode.frequency.cancelScheduledValues(at);
+    gainNode.gain.cancelScheduledValues(at);
+    gainNode.gain.setTargetAtTime(0.0, at, timeConstant);
+  }
+
+  lowPassFilter.frequency.cancelScheduledValues(at);
+  highPassFilter.frequency.cancelScheduledValues(at);
+  vibratoMain.frequency.cancelScheduledValues(at);
+
+  vibratoLowPassGain?.gain.cancelScheduledValues(at);
+  vibratoPitchGain?.gain.cancelScheduledValues(at);
+  vibratoVolumeGain?.gain.cancelScheduledValues(at);
+
+  vibratoLowPassGain?.gain.setTargetAtTime(0.0, at, timeConstant);
+  vibratoPitchGain?.gain.setTargetAtTime(0.0, at, timeConstant);
+  vibratoVolumeGain?.gain.setTargetAtTime(0.0, at, timeConstant);
+
+  instrument.willPlayUntil = Math.min(instrument.willPlayUntil, at + fadeOut);
 };
 
 /**
@@ -406,7 +701,7 @@ function mix(a = 0.0, b = 1.0, amount = 0.5) {
 
 class PulseOscillatorNode extends OscillatorNode {
   /**
-    @param {AudioContext} audioContext
+    @param {BaseAudioContext} audioContext
   */
   constructor(audioContext, options = {}) {
     super(audioContext, { ...options, type: "sawtooth" });
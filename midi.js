@@ -0,0 +1,518 @@
+import * as presets from "./instrumentPresets.js";
+import { createSequencer, scheduleSequence } from "./sequence.js";
+import { bpmAt, createTempoMap, setTempo } from "./tempo.js";
+
+/**
+ * @typedef {typeof import("./instrumentPresets.js").genericInstrument} InstrumentPreset
+ * @typedef {import("./sequence.js").Playable} Playable
+ * @typedef {import("./tempo.js").TempoMap} TempoMap
+ */
+
+const defaultExportOptions = { cycles: 1, ticksPerBeat: 480, seed: 0 };
+
+// Channel 10 (9 here) is reserved for drums in General MIDI
+const channels = [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13, 14, 15];
+
+/**
+ * Writes `tracks` into a Standard MIDI File (type 1), for opening them in other music software.
+ * Each track becomes its own MIDI track, with the preset's `midiProgram` as its instrument.
+ * Velocity becomes note velocity, volume becomes CC7, and vibrato becomes the mod wheel (CC1).
+ * Articulations shorten notes and change their velocity, like the preset's `articulations` do.
+ * One beat of the tempo map becomes one quarter note.
+ * @param {([InstrumentPreset, Playable])[]} tracks
+ * @param {number | TempoMap} cycle - in seconds, or a tempo map
+ * @param {object} options
+ * @param {number=} options.cycles - how many cycles to export
+ * @param {number=} options.ticksPerBeat - MIDI time resolution
+ * @param {number=} options.seed - for the random sequence options, same as in `scheduleMusic`
+ * @returns {ArrayBuffer}
+ */
+export const exportMidi = (tracks, cycle, options = defaultExportOptions) => {
+  const cycles = options.cycles ?? defaultExportOptions.cycles;
+  const ticksPerBeat = options.ticksPerBeat ?? defaultExportOptions.ticksPerBeat;
+  const seed = options.seed ?? defaultExportOptions.seed;
+
+  const tempo = typeof cycle === "number" ? createTempoMap(60.0 / cycle, 1.0) : cycle;
+  const ticksPerCycle = tempo.beatsPerCycle * ticksPerBeat;
+  const toTicks = (position) => Math.max(0, Math.round(position * ticksPerCycle));
+
+  const chunks = [writeTempoTrack(tempo, cycles, ticksPerBeat)];
+
+  for (let index = 0; index < tracks.length; index++) {
+    const [instrumentPreset, sequence] = tracks[index];
+    if (!instrumentPreset) continue;
+
+    const channel = channels[index % channels.length];
+    const name = Object.keys(presets).find((key) => presets[key] === instrumentPreset) ?? `Track ${index + 1}`;
+
+    /** @type {MidiEvent[]} */
+    const events = [
+      { tick: 0, order: 0, bytes: [0xff, 0x03, ...writeLength(name.length), ...textBytes(name)] },
+      { tick: 0, order: 0, bytes: [0xc0 | channel, instrumentPreset.midiProgram & 0x7f] },
+    ];
+
+    let volume = -1;
+    let vibrato = -1;
+
+    const sequencer = createSequencer(({ pendingNote }) => {
+      const note = Math.round(pendingNote.note) + 60;
+      if (note < 0 || note > 127) return;
+
+      const articulation = pendingNote.articulation ? instrumentPreset.articulations?.[pendingNote.articulation] : null;
+      const duration = pendingNote.duration * (articulation?.duration ?? 1.0);
+
+      const start = toTicks(pendingNote.at);
+      const end = Math.max(start + 1, toTicks(pendingNote.at + duration));
+      const noteVolume = toMidiValue(pendingNote.volume ?? 1.0);
+      const noteVibrato = toMidiValue(pendingNote.vibrato ?? 0.0);
+      const velocity = Math.max(1, toMidiValue((pendingNote.velocity ?? 1.0) * (articulation?.velocity ?? 1.0)));
+
+      if (noteVolume !== volume) events.push({ tick: start, order: 1, bytes: [0xb0 | channel, 7, noteVolume] });
+      if (noteVibrato !== vibrato) events.push({ tick: start, order: 1, bytes: [0xb0 | channel, 1, noteVibrato] });
+      volume = noteVolume;
+      vibrato = noteVibrato;
+
+      events.push({ tick: start, order: 2, bytes: [0x90 | channel, note, velocity] });
+      events.push({ tick: end, order: 0, bytes: [0x80 | channel, note, 0] });
+    });
+    sequencer.seed = seed;
+
+    scheduleSequence(sequencer, sequence, 0.0, cycles);
+    chunks.push(writeTrack(events));
+  }
+
+  // Header: format 1, number of tracks, ticks per quarter note
+  const header = [...textBytes("MThd"), 0, 0, 0, 6, 0, 1, ...writeUint16(chunks.length), ...writeUint16(ticksPerBeat)];
+  return Uint8Array.from(header.concat(...chunks)).buffer;
+};
+
+/**
+ * @typedef {object} MidiEvent
+ * @property {number} tick
+ * @property {number} order - sorts events on the same tick: note offs, then controllers, then note ons
+ * @property {number[]} bytes
+ */
+
+/**
+ * Tempo and time signature changes. Ramps are approximated with a tempo change every 16th note.
+ * @param {TempoMap} tempo
+ * @param {number} cycles
+ * @param {number} ticksPerBeat
+ */
+const writeTempoTrack = (tempo, cycles, ticksPerBeat) => {
+  const { beatsPerCycle, segments } = tempo;
+  const ticksPerCycle = beatsPerCycle * ticksPerBeat;
+  const rampStep = 0.25 / beatsPerCycle;
+
+  /** @type {MidiEvent[]} */
+  const events = [];
+
+  if (Number.isInteger(beatsPerCycle) && beatsPerCycle > 0 && beatsPerCycle < 256) {
+    events.push({ tick: 0, order: 0, bytes: [0xff, 0x58, 4, beatsPerCycle, 2, 24, 8] });
+  }
+
+  for (let index = 0; index < segments.length; index++) {
+    const segment = segments[index];
+    const segmentEnd = Math.min(cycles, segments[index + 1]?.position ?? cycles);
+    if (segment.position >= segmentEnd && index > 0) continue;
+
+    const start = Math.max(0.0, segment.position);
+    const rampEnd = Math.min(segmentEnd, segment.position + segment.ramp);
+    const rampSteps = Math.ceil((rampEnd - start) / rampStep - 1e-9);
+
+    for (let step = 0; step < rampSteps; step++) {
+      // Use the tempo in the middle of each ramp step
+      const position = start + step * rampStep;
+      const bpm = bpmAt(tempo, Math.min(rampEnd, position + rampStep / 2.0));
+      events.push(writeTempo(position * ticksPerCycle, bpm));
+    }
+
+    if (rampEnd < segmentEnd || rampSteps <= 0) events.push(writeTempo(rampEnd * ticksPerCycle, segment.endBpm));
+  }
+
+  return writeTrack(events);
+};
+
+/**
+ * @param {number} tick
+ * @param {number} bpm
+ * @returns {MidiEvent}
+ */
+const writeTempo = (tick, bpm) => ({
+  tick: Math.round(tick),
+  order: 0,
+  bytes: [0xff, 0x51, 3, ...writeUint24(Math.round(60000000 / bpm))],
+});
+
+/**
+ * @param {MidiEvent[]} events
+ */
+const writeTrack = (events) => {
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const data = [];
+  let previousTick = 0;
+
+  for (const { tick, bytes } of events) {
+    data.push(...writeLength(tick - previousTick), ...bytes);
+    previousTick = tick;
+  }
+
+  // End of track
+  data.push(0, 0xff, 0x2f, 0);
+
+  return [...textBytes("MTrk"), ...writeUint32(data.length), ...data];
+};
+
+/**
+ * @param {number} value - between 0 and 1
+ */
+const toMidiValue = (value) => Math.round(Math.min(1.0, Math.max(0.0, value)) * 127);
+
+/**
+ * Variable-length quantity: 7 bits per byte, with the top bit set on all but the last byte
+ * @param {number} value
+ */
+const writeLength = (value) => {
+  const bytes = [value & 0x7f];
+  for (let rest = value >>> 7; rest > 0; rest >>>= 7) bytes.unshift((rest & 0x7f) | 0x80);
+  return bytes;
+};
+
+/**
+ * @param {string} text
+ */
+const textBytes = (text) => Array.from(text, (character) => character.charCodeAt(0) & 0x7f);
+
+const writeUint16 = (value) => [(value >>> 8) & 0xff, value & 0xff];
+const writeUint24 = (value) => [(value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+const writeUint32 = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+
+const defaultImportOptions = { grid: 16, beatsPerCycle: undefined };
+
+/**
+ * Reads a Standard MIDI File into tracks that `scheduleMusic` can loop.
+ * Every cycle is one bar, quantised to `grid` steps. Each MIDI track and channel becomes one or more tracks:
+ * overlapping notes are split into separate tracks, and notes that start and end together become chords.
+ * The instrument is the preset with the nearest `midiProgram`. Drums (channel 10) are skipped.
+ * @param {ArrayBuffer | Uint8Array} data
+ * @param {object} options
+ * @param {number=} options.grid - how many steps each cycle is quantised to
+ * @param {number=} options.beatsPerCycle - defaults to the length of a bar in the file's first time signature
+ * @returns {{ tracks: ([InstrumentPreset, Playable])[], cycle: TempoMap, cycles: number }}
+ */
+export const importMidi = (data, options = defaultImportOptions) => {
+  const grid = options.grid ?? defaultImportOptions.grid;
+  const midi = readMidi(data instanceof Uint8Array ? data : new Uint8Array(data));
+  const beatsPerCycle = options.beatsPerCycle ?? midi.beatsPerCycle;
+  const ticksPerCycle = midi.ticksPerBeat * beatsPerCycle;
+  const ticksPerStep = ticksPerCycle / grid;
+
+  const tempo = createTempoMap(120.0, beatsPerCycle);
+  for (const { tick, bpm } of midi.tempos) setTempo(tempo, bpm, tick / ticksPerCycle);
+
+  // Quantise
+  let totalSteps = 0;
+  for (const part of midi.parts) {
+    for (const note of part.notes) {
+      note.start = Math.round(note.start / ticksPerStep);
+      note.end = Math.max(note.start + 1, Math.round(note.end / ticksPerStep));
+      totalSteps = Math.max(totalSteps, note.end);
+    }
+  }
+
+  const cycles = Math.max(1, Math.ceil(totalSteps / grid));
+
+  /** @type {([InstrumentPreset, Playable])[]} */
+  const tracks = [];
+
+  for (const part of midi.parts) {
+    const preset = findPreset(part.program);
+
+    for (const voice of splitVoices(part.notes, grid)) {
+      const sequence = [];
+
+      for (let cycle = 0; cycle < cycles; cycle++) {
+        sequence.push(writeCycle(voice, cycle * grid, grid));
+      }
+
+      if (cycles > 1) sequence.push({ alternate: true });
+      tracks.push([preset, cycles > 1 ? sequence : sequence[0]]);
+    }
+  }
+
+  return { tracks, cycle: tempo, cycles };
+};
+
+/**
+ * @typedef {object} MidiNote
+ * @property {number} note - in MIDI numbers
+ * @property {number} velocity - between 0 and 1
+ * @property {number} start - in ticks, then steps
+ * @property {number} end - in ticks, then steps
+ */
+
+/**
+ * Groups notes that start and end together into chords, and spreads overlapping notes and chords into separate voices.
+ * Chords can't cross cycles, because extenders only extend the last note of a chord.
+ * @param {MidiNote[]} notes
+ * @param {number} grid
+ * @returns {MidiNote[][][]} voices of chords of notes
+ */
+const splitVoices = (notes, grid) => {
+  notes.sort((a, b) => a.start - b.start || a.note - b.note);
+
+  /** @type {MidiNote[][]} */
+  const chords = [];
+  for (const note of notes) {
+    const crossesCycles = Math.floor(note.start / grid) !== Math.floor((note.end - 1) / grid);
+    let chord = null;
+
+    for (let index = chords.length - 1; index >= 0 && !crossesCycles; index--) {
+      const [other] = chords[index];
+      if (other.start !== note.start) break;
+      if (other.end === note.end) chord = chords[index];
+    }
+
+    if (chord) {
+      chord.push(note);
+    } else {
+      chords.push([note]);
+    }
+  }
+
+  /** @type {MidiNote[][][]} */
+  const voices = [];
+  for (const chord of chords) {
+    const voice = voices.find((voice) => voice[voice.length - 1][0].end <= chord[0].start);
+
+    if (voice) {
+      voice.push(chord);
+    } else {
+      voices.push([chord]);
+    }
+  }
+
+  return voices;
+};
+
+/**
+ * Turns one cycle of a voice into steps, and simplifies them
+ * @param {MidiNote[][]} voice
+ * @param {number} from - in steps
+ * @param {number} grid
+ * @returns {Playable}
+ */
+const writeCycle = (voice, from, grid) => {
+  /** @type {Playable} */
+  let steps = new Array(grid).fill(null);
+
+  for (const chord of voice) {
+    const { start, end } = chord[0];
+    if (end <= from || start >= from + grid) continue;
+
+    for (let step = Math.max(from, start); step < Math.min(from + grid, end); step++) {
+      steps[step - from] = undefined;
+    }
+
+    if (start >= from) {
+      const notes = chord.map(({ note, velocity }) => (velocity === 1.0 ? note - 60 : [note - 60, { velocity }]));
+      steps[start - from] = notes.length > 1 ? [...notes, { chord: true }] : notes[0];
+    }
+  }
+
+  // Merge evenly spaced steps together: [0, e, 2, e] becomes [0, 2]
+  let simplified = simplifySteps(steps);
+  while (simplified.length < steps.length) {
+    steps = simplified;
+    simplified = simplifySteps(steps);
+  }
+
+  // Chords are held with weights instead of extenders
+  /** @type {Playable} */
+  const result = [];
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    result.push(step);
+
+    if (!Array.isArray(step) || !step[step.length - 1].chord) continue;
+
+    let weight = 1;
+    while (index + 1 < steps.length && steps[index + 1] === undefined) {
+      weight++;
+      index++;
+    }
+    if (weight > 1) step.push({ weight });
+  }
+
+  return result;
+};
+
+/**
+ * @param {Playable} steps
+ */
+const simplifySteps = (steps) => {
+  for (let size = steps.length; size > 1; size--) {
+    if (steps.length % size !== 0) continue;
+
+    let fits = true;
+    for (let index = 0; index < steps.length && fits; index++) {
+      if (index % size === 0) continue;
+
+      const first = steps[index - (index % size)];
+      fits = first === null ? steps[index] === null : steps[index] === undefined;
+    }
+
+    if (fits) return steps.filter((_, index) => index % size === 0);
+  }
+
+  return steps;
+};
+
+/**
+ * @param {number} program
+ * @returns {InstrumentPreset}
+ */
+const findPreset = (program) => {
+  let nearest = presets.piano;
+  let distance = Number.POSITIVE_INFINITY;
+
+  for (const key in presets) {
+    if (key === "genericInstrument") continue;
+
+    const preset = presets[key];
+    const presetDistance = Math.abs(preset.midiProgram - program);
+
+    if (presetDistance < distance) {
+      nearest = preset;
+      distance = presetDistance;
+    }
+  }
+
+  return nearest;
+};
+
+/**
+ * @param {Uint8Array} bytes
+ */
+const readMidi = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const readText = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+  if (readText(0) !== "MThd") throw new Error("Not a MIDI file: missing the MThd header");
+
+  const ticksPerBeat = view.getUint16(12);
+  if (ticksPerBeat & 0x8000) throw new Error("MIDI files with SMPTE timing are not supported");
+
+  let beatsPerCycle = 0;
+  /** @type {{ tick: number, bpm: number }[]} */
+  const tempos = [];
+  /** @type {Map<number, { program: number, notes: MidiNote[] }>} notes per track and channel */
+  const parts = new Map();
+
+  let offset = 8 + view.getUint32(4);
+  let track = 0;
+
+  while (offset + 8 <= bytes.length) {
+    const type = readText(offset);
+    const end = Math.min(bytes.length, offset + 8 + view.getUint32(offset + 4));
+    offset += 8;
+
+    if (type !== "MTrk") {
+      offset = end;
+      continue;
+    }
+
+    /** @type {Map<number, MidiNote[]>} notes waiting for their note off, per channel and note */
+    const playing = new Map();
+    let tick = 0;
+    let runningStatus = 0;
+
+    const readLength = () => {
+      let value = 0;
+      let byte = 0x80;
+      while (byte & 0x80 && offset < end) {
+        byte = bytes[offset++];
+        value = value * 128 + (byte & 0x7f);
+      }
+      return value;
+    };
+
+    const getPart = (channel) => {
+      const key = track * 16 + channel;
+      if (!parts.has(key)) parts.set(key, { program: 0, notes: [] });
+      return parts.get(key);
+    };
+
+    while (offset < end) {
+      tick += readLength();
+
+      let status = bytes[offset];
+      if (status & 0x80) {
+        offset++;
+      } else {
+        status = runningStatus;
+      }
+
+      if (status === 0xff) {
+        const metaType = bytes[offset++];
+        const length = readLength();
+
+        if (metaType === 0x51) {
+          const microsecondsPerBeat = (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+          tempos.push({ tick, bpm: 60000000 / microsecondsPerBeat });
+        } else if (metaType === 0x58 && !beatsPerCycle) {
+          beatsPerCycle = (bytes[offset] * 4) / 2 ** bytes[offset + 1];
+        }
+
+        offset += length;
+        continue;
+      }
+
+      if (status === 0xf0 || status === 0xf7) {
+        offset += readLength();
+        continue;
+      }
+
+      runningStatus = status;
+      const kind = status & 0xf0;
+      const channel = status & 0x0f;
+      const data1 = bytes[offset];
+      const data2 = bytes[offset + 1];
+      offset += kind === 0xc0 || kind === 0xd0 ? 1 : 2;
+
+      if (channel === 9) continue;
+
+      if (kind === 0xc0) {
+        getPart(channel).program = data1;
+      } else if (kind === 0x90 && data2 > 0) {
+        const note = { note: data1, velocity: Math.round((data2 / 127) * 100) / 100, start: tick, end: tick };
+        const key = channel * 128 + data1;
+
+        getPart(channel).notes.push(note);
+        if (!playing.has(key)) playing.set(key, []);
+        playing.get(key).push(note);
+      } else if (kind === 0x80 || kind === 0x90) {
+        const note = playing.get(channel * 128 + data1)?.shift();
+        if (note) note.end = tick;
+      }
+    }
+
+    // Notes that never ended last until the end of the track
+    for (const notes of playing.values()) {
+      for (const note of notes) note.end = tick;
+    }
+
+    offset = end;
+    track++;
+  }
+
+  tempos.sort((a, b) => a.tick - b.tick);
+
+  return {
+    ticksPerBeat,
+    beatsPerCycle: beatsPerCycle || 4,
+    tempos,
+    parts: [...parts.values()].filter(({ notes }) => notes.length > 0),
+  };
+};
@@ -0,0 +1,195 @@
+import {
+  bendInstrument,
+  createInstrument,
+  destroyInstrument,
+  modulateInstrument,
+  releaseNote,
+  startNote,
+} from "./instruments.js";
+import { midiToFrequency } from "./notes.js";
+
+/**
+ * @typedef {typeof import("./instrumentPresets.js").genericInstrument} InstrumentPreset
+ * @typedef {ReturnType<typeof createInstrument>} Instrument
+ */
+
+const defaultOptions = {
+  polyphony: 8,
+  numberToFrequency: midiToFrequency,
+  bendRange: 2.0,
+  channel: undefined,
+  volume: 1.0,
+  vibratoFrequency: 5.0,
+};
+
+/**
+ * Plays an instrument preset from MIDI messages, e.g. from a keyboard through the Web MIDI API.
+ * Each key gets its own instrument from a pool, and the oldest notes are cut off when the pool runs out.
+ * @param {InstrumentPreset} preset
+ * @param {BaseAudioContext} audioContext
+ * @param {(instrument: Instrument) => void} connectInstrument
+ * @param {object} options
+ * @param {number=} options.polyphony - how many notes can play at once
+ * @param {typeof midiToFrequency=} options.numberToFrequency
+ * @param {number=} options.bendRange - how far the pitch bend wheel goes, in semitones
+ * @param {number=} options.channel - only listen to this channel (0–15), or all of them if left out
+ * @param {number=} options.volume
+ * @param {number=} options.vibratoFrequency - used when the mod wheel is up
+ */
+export const createMidiInput = (preset, audioContext, connectInstrument, options = defaultOptions) => {
+  const polyphony = options.polyphony ?? defaultOptions.polyphony;
+  const numberToFrequency = options.numberToFrequency ?? defaultOptions.numberToFrequency;
+  const bendRange = options.bendRange ?? defaultOptions.bendRange;
+  const channel = options.channel ?? defaultOptions.channel;
+  const volume = options.volume ?? defaultOptions.volume;
+  const vibratoFrequency = options.vibratoFrequency ?? defaultOptions.vibratoFrequency;
+
+  /** @type {Instrument[]} */
+  const instruments = [];
+  for (let index = 0; index < polyphony; index++) {
+    const instrument = createInstrument(preset, audioContext);
+    connectInstrument(instrument);
+    instruments.push(instrument);
+  }
+
+  /** @type {Map<number, Instrument>} which instrument is playing each MIDI note */
+  const playing = new Map();
+  /** @type {Set<number>} notes released while the sustain pedal was down */
+  const sustained = new Set();
+
+  let sustain = false;
+  let modulation = 0.0;
+
+  const noteOptions = Object.seal({ velocity: 1.0, volume, vibrato: 0.0, vibratoFrequency });
+
+  const noteOn = (note, velocity, at) => {
+    const instrument = playing.get(note) ?? findFreeInstrument(instruments, at);
+
+    // Forget whatever the instrument was playing before
+    for (const [otherNote, otherInstrument] of playing) {
+      if (otherInstrument !== instrument) continue;
+      playing.delete(otherNote);
+      sustained.delete(otherNote);
+    }
+
+    noteOptions.velocity = velocity;
+    noteOptions.vibrato = modulation;
+    startNote(instrument, numberToFrequency(note - 60), at, noteOptions);
+    playing.set(note, instrument);
+  };
+
+  const noteOff = (note, at) => {
+    const instrument = playing.get(note);
+    if (!instrument) return;
+
+    if (sustain) {
+      sustained.add(note);
+      return;
+    }
+
+    releaseNote(instrument, at);
+    playing.delete(note);
+  };
+
+  const releaseAll = (at) => {
+    for (const instrument of playing.values()) releaseNote(instrument, at);
+    playing.clear();
+    sustained.clear();
+  };
+
+  /**
+   * Handles one MIDI message
+   * @param {ArrayLike<number>} data - `[status, data1, data2]`
+   * @param {number} at - when to play it, in the AudioContext's time
+   */
+  const handleMessage = (data, at = audioContext.currentTime) => {
+    const status = data[0];
+    const kind = status & 0xf0;
+    const data1 = data[1];
+    const data2 = data[2];
+
+    if (status >= 0xf0) return;
+    if (channel !== undefined && (status & 0x0f) !== channel) return;
+
+    switch (kind) {
+      case 0x90: {
+        if (data2 > 0) {
+          noteOn(data1, data2 / 127, at);
+        } else {
+          noteOff(data1, at);
+        }
+        break;
+      }
+      case 0x80: {
+        noteOff(data1, at);
+        break;
+      }
+      case 0xe0: {
+        const cents = ((((data2 << 7) | data1) - 8192) / 8192) * bendRange * 100.0;
+        for (const instrument of instruments) bendInstrument(instrument, cents, at);
+        break;
+      }
+      case 0xb0: {
+        if (data1 === 1) {
+          // Mod wheel
+          modulation = data2 / 127;
+          for (const instrument of playing.values()) {
+            modulateInstrument(instrument, modulation, at, vibratoFrequency, volume);
+          }
+        } else if (data1 === 64) {
+          // Sustain pedal
+          sustain = data2 >= 64;
+          if (sustain) break;
+
+          for (const note of sustained) {
+            releaseNote(playing.get(note), at);
+            playing.delete(note);
+          }
+          sustained.clear();
+        } else if (data1 === 120 || data1 === 123) {
+          // All sound off, all notes off
+          releaseAll(at);
+        }
+        break;
+      }
+    }
+  };
+
+  /** @param {{ data: ArrayLike<number> }} event */
+  const handleEvent = (event) => handleMessage(event.data);
+
+  return {
+    handleMessage,
+    /**
+     * Starts listening to a Web MIDI `MIDIInput`, returns a function that stops listening
+     * @param {EventTarget} input
+     */
+    listen: (input) => {
+      input.addEventListener("midimessage", handleEvent);
+      return () => input.removeEventListener("midimessage", handleEvent);
+    },
+    /** Releases every note, including sustained ones */
+    releaseAll: (at = audioContext.currentTime) => releaseAll(at),
+    destroy: () => {
+      for (const instrument of instruments) destroyInstrument(instrument);
+      playing.clear();
+      sustained.clear();
+    },
+  };
+};
+
+/**
+ * Picks an instrument that isn't playing anything, or the one that has been playing the longest
+ * @param {Instrument[]} instruments
+ * @param {number} at
+ */
+const findFreeInstrument = (instruments, at) => {
+  let oldest = instruments[0];
+
+  for (const instrument of instruments) {
+    if (instrument.willPlayUntil <= at) return instrument;
+    if (instrument.startedPlayingAt < oldest.startedPlayingAt) oldest = instrument;
+  }
+
+  return oldest;
+};
@@ -0,0 +1,222 @@
+/**
+ * @typedef {import("./sequence.js").Playable} Playable
+ * @typedef {import("./sequence.js").PlayableOptions} PlayableOptions
+ */
+
+const aliases = { vol: "volume", vel: "velocity" };
+
+/**
+ * Turns a Strudel-like mini-notation string into a sequence, e.g. `seq("0 [2 4] ~ _ <5 7>")`.
+ * - spaces separate notes, which subdivide time like array entries
+ * - `~` is a pause (`null`), `_` extends the previous note (`undefined`)
+ * - `[...]` is a nested array, `<...>` is an array with `alternate`
+ * - `,` layers sequences on top of each other, like `chord`
+ * - `!key=value` sets an option (`vol` and `vel` are short for `volume` and `velocity`), `!key` sets it to `true`;
+ *   values can be numbers, `true`, `false`, or words like `!articulation=staccato`
+ * - `@3` sets the `weight`, `(3,8)` or `(3,8,1)` sets `euclid`
+ * @param {string} notation
+ * @returns {Playable}
+ */
+export const seq = (notation) => {
+  const parser = { notation, index: 0 };
+  const sequence = parseLayers(parser, "", false);
+
+  if (parser.index < notation.length) fail(parser, `Unexpected "${notation[parser.index]}"`);
+  return sequence;
+};
+
+/**
+ * @typedef {{ notation: string, index: number }} Parser
+ * @param {Parser} parser
+ * @param {string} closer - the character that ends the group
+ * @param {boolean} alternate
+ * @returns {Playable}
+ */
+const parseLayers = (parser, closer, alternate) => {
+  const layers = [parseSequence(parser, closer, alternate)];
+
+  while (parser.notation[parser.index] === ",") {
+    parser.index++;
+    layers.push(parseSequence(parser, closer, alternate));
+  }
+
+  if (layers.length === 1) return layers[0];
+
+  layers.push({ chord: true });
+  return layers;
+};
+
+/**
+ * @param {Parser} parser
+ * @param {string} closer
+ * @param {boolean} alternate
+ * @returns {Playable}
+ */
+const parseSequence = (parser, closer, alternate) => {
+  const { notation } = parser;
+  /** @type {Playable} */
+  const sequence = [];
+
+  while (true) {
+    skipWhitespace(parser);
+    const character = notation[parser.index];
+
+    if (character === undefined) {
+      if (closer) fail(parser, `Expected "${closer}"`);
+      break;
+    }
+    if (character === closer || character === ",") break;
+
+    sequence.push(parseItem(parser));
+  }
+
+  if (sequence.length === 0) fail(parser, "Expected a note, pause or group");
+  if (alternate) sequence.push({ alternate: true });
+
+  return sequence;
+};
+
+/**
+ * @param {Parser} parser
+ * @returns {Playable | number | null | undefined}
+ */
+const parseItem = (parser) => {
+  const { notation } = parser;
+  const character = notation[parser.index];
+
+  /** @type {Playable | number | null | undefined} */
+  let item;
+
+  if (character === "[" || character === "<") {
+    const closer = character === "[" ? "]" : ">";
+    parser.index++;
+    item = parseLayers(parser, closer, character === "<");
+    expect(parser, closer);
+  } else if (character === "~") {
+    item = null;
+    parser.index++;
+  } else if (character === "_") {
+    item = undefined;
+    parser.index++;
+  } else {
+    item = parseNumber(parser);
+  }
+
+  // Postfix options
+  while (isOptionStart(notation[parser.index])) {
+    if (item === null || item === undefined) fail(parser, "Pauses and extenders can't have options");
+    if (typeof item === "number") item = [item];
+
+    item.push(parseOption(parser));
+  }
+
+  return item;
+};
+
+/**
+ * @param {string | undefined} character
+ */
+const isOptionStart = (character) => character === "!" || character === "@" || character === "(";
+
+/**
+ * @param {Parser} parser
+ * @returns {PlayableOptions}
+ */
+const parseOption = (parser) => {
+  const { notation } = parser;
+  const character = notation[parser.index];
+  parser.index++;
+
+  if (character === "@") return { weight: parseNumber(parser) };
+
+  if (character === "(") {
+    const euclid = [parseNumber(parser)];
+
+    while (notation[parser.index] === ",") {
+      parser.index++;
+      euclid.push(parseNumber(parser));
+    }
+
+    expect(parser, ")");
+    if (euclid.length < 2 || euclid.length > 3) fail(parser, "Euclidean rhythms need 2 or 3 numbers");
+    return { euclid };
+  }
+
+  const key = match(parser, keyPattern);
+  if (!key) fail(parser, "Expected an option name");
+
+  /** @type {number | boolean | string} */
+  let value = true;
+
+  if (notation[parser.index] === "=") {
+    parser.index++;
+    const word = match(parser, keyPattern);
+    if (!word) value = parseNumber(parser);
+    else if (word === "true" || word === "false") value = word === "true";
+    else value = word;
+  }
+
+  return { [aliases[key] ?? key]: value };
+};
+
+const numberPattern = /-?(\d+\.?\d*|\.\d+)/y;
+const keyPattern = /[a-zA-Z]+/y;
+
+/**
+ * @param {Parser} parser
+ */
+const parseNumber = (parser) => {
+  const number = match(parser, numberPattern);
+  if (!number) {
+    const character = parser.notation[parser.index];
+    fail(parser, character === undefined ? "Unexpected end" : `Unexpected "${character}"`);
+  }
+  return Number(number);
+};
+
+/**
+ * Matches a sticky regular expression at the current position, and moves past it
+ * @param {Parser} parser
+ * @param {RegExp} pattern
+ */
+const match = (parser, pattern) => {
+  pattern.lastIndex = parser.index;
+  const result = pattern.exec(parser.notation);
+  if (!result) return null;
+
+  parser.index += result[0].length;
+  return result[0];
+};
+
+/**
+ * @param {Parser} parser
+ * @param {string} character
+ */
+const expect = (parser, character) => {
+  if (parser.notation[parser.index] !== character) fail(parser, `Expected "${character}"`);
+  parser.index++;
+};
+
+/**
+ * @param {Parser} parser
+ */
+const skipWhitespace = (parser) => {
+  while (/\s/.test(parser.notation[parser.index] ?? "")) parser.index++;
+};
+
+/**
+ * @param {Parser} parser
+ * @param {string} message
+ * @returns {never}
+ */
+const fail = (parser, message) => {
+  const { notation, index } = parser;
+  const lineStart = notation.lastIndexOf("\n", index - 1) + 1;
+  const lineEnd = notation.indexOf("\n", index);
+  const line = notation.slice(lineStart, lineEnd === -1 ? undefined : lineEnd);
+  const column = index - lineStart + 1;
+  const lineNumber = notation.slice(0, index).split("\n").length;
+  const where = lineNumber > 1 ? `line ${lineNumber}, column ${column}` : `column ${column}`;
+
+  throw new SyntaxError(`${message} at ${where}\n${line}\n${" ".repeat(column - 1)}^`);
+};
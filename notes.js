@@ -10,3 +10,197 @@ export function midiToJustFrequency(midiNumber = 0, tuning = 440.0, root = 0) {
 
 // https://johncarlosbaez.wordpress.com/2023/11/15/just-intonation-part-4/
 const justToneRatios = [1.0, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 16 / 9, 15 / 8, 2.0];
+
+/**
+ * @typedef {object} Key - a scale starting from a tonic, for playing sequences in scale degrees
+ * @property {number} tonic - note number of the first degree
+ * @property {number[]} steps - semitones of each degree above the tonic, starting from 0
+ */
+
+/** Semitones of each degree above the tonic, by scale name */
+export const scales = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  ionian: [0, 2, 4, 5, 7, 9, 11],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  aeolian: [0, 2, 3, 5, 7, 8, 10],
+  locrian: [0, 1, 3, 5, 6, 8, 10],
+  harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+  melodicMinor: [0, 2, 3, 5, 7, 9, 11],
+  majorPentatonic: [0, 2, 4, 7, 9],
+  minorPentatonic: [0, 3, 5, 7, 10],
+  blues: [0, 3, 5, 6, 7, 10],
+  wholeTone: [0, 2, 4, 6, 8, 10],
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+};
+
+/** Semitones above the root, by chord symbol suffix */
+export const chordQualities = {
+  "": [0, 4, 7],
+  m: [0, 3, 7],
+  dim: [0, 3, 6],
+  aug: [0, 4, 8],
+  sus2: [0, 2, 7],
+  sus4: [0, 5, 7],
+  5: [0, 7],
+  6: [0, 4, 7, 9],
+  m6: [0, 3, 7, 9],
+  7: [0, 4, 7, 10],
+  maj7: [0, 4, 7, 11],
+  m7: [0, 3, 7, 10],
+  mMaj7: [0, 3, 7, 11],
+  m7b5: [0, 3, 6, 10],
+  dim7: [0, 3, 6, 9],
+  aug7: [0, 4, 8, 10],
+  "7sus4": [0, 5, 7, 10],
+  add9: [0, 4, 7, 14],
+  madd9: [0, 3, 7, 14],
+  9: [0, 4, 7, 10, 14],
+  maj9: [0, 4, 7, 11, 14],
+  m9: [0, 3, 7, 10, 14],
+  11: [0, 4, 7, 10, 14, 17],
+  m11: [0, 3, 7, 10, 14, 17],
+  13: [0, 4, 7, 10, 14, 21],
+  maj13: [0, 4, 7, 11, 14, 21],
+  m13: [0, 3, 7, 10, 14, 21],
+};
+
+// Other ways of writing the same suffixes
+const chordAliases = {
+  M: "",
+  maj: "",
+  min: "m",
+  "-": "m",
+  "°": "dim",
+  "+": "aug",
+  sus: "sus4",
+  M7: "maj7",
+  Δ: "maj7",
+  Δ7: "maj7",
+  min7: "m7",
+  "-7": "m7",
+  mM7: "mMaj7",
+  ø: "m7b5",
+  ø7: "m7b5",
+  "°7": "dim7",
+  "+7": "aug7",
+  M9: "maj9",
+  "-9": "m9",
+  M13: "maj13",
+};
+
+const letterSemitones = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const noteNamePattern = /^([A-Ga-g])([#b♯♭]*)(-?\d+)?$/;
+const chordSymbolPattern = /^([A-G][#b♯♭]*):?([^/]*)(?:\/([A-G][#b♯♭]*))?$/;
+
+/**
+ * Converts a note name like `"C#4"` or `"Bb2"` into a note number, where C4 is 0.
+ * The octave defaults to 4.
+ * @param {string} name
+ */
+export function parseNoteName(name) {
+  const match = noteNamePattern.exec(name.trim());
+  if (!match) throw new SyntaxError(`Invalid note name "${name}"`);
+
+  const [, letter, accidentals, octave = "4"] = match;
+  let note = letterSemitones[letter.toUpperCase()] + (Number(octave) - 4) * 12;
+
+  for (const accidental of accidentals) note += accidental === "#" || accidental === "♯" ? 1 : -1;
+  return note;
+}
+
+/**
+ * Converts a chord symbol like `"Am7"`, `"G:7"` or `"G/B"` into note numbers, from low to high.
+ * The root is in octave 4, and a slash bass note goes below it. The colon after the root is optional.
+ * @param {string} symbol
+ * @returns {number[]}
+ */
+export function parseChordSymbol(symbol) {
+  const match = chordSymbolPattern.exec(symbol.trim());
+  if (!match) throw new SyntaxError(`Invalid chord symbol "${symbol}"`);
+
+  const [, rootName, suffix, bassName] = match;
+  const quality = chordQualities[chordAliases[suffix] ?? suffix];
+  if (!quality) throw new SyntaxError(`Unknown chord quality "${suffix}" in "${symbol}"`);
+
+  const root = parseNoteName(rootName);
+  const notes = quality.map((semitones) => root + semitones);
+
+  if (bassName !== undefined) {
+    const bass = parseNoteName(bassName);
+    notes.unshift(bass - Math.ceil((bass - root + 1) / 12) * 12);
+  }
+
+  return notes;
+}
+
+/**
+ * Parses a note name or a chord symbol: note names with an octave, like `"C#4"` or `"G7"`, are always single notes,
+ * and anything else is a chord, so `"C"` is a C major chord.
+ * Chords whose suffix is just a number need a colon after the root, to tell them apart from notes: `"G:7"`, `"C:6"`.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function parseNotes(text) {
+  const trimmed = text.trim();
+  if (/\d$/.test(trimmed) && noteNamePattern.test(trimmed)) return [parseNoteName(trimmed)];
+  return parseChordSymbol(trimmed);
+}
+
+/**
+ * Parses a key like `"D dorian"` or `"F# minorPentatonic"`. The tonic is in octave 4, unless it has its own octave.
+ * @param {string} text
+ * @returns {Key}
+ */
+export function parseKey(text) {
+  const [tonicName, scaleName = "major", ...rest] = text.trim().split(/\s+/);
+  const steps = scales[scaleName];
+  if (!steps || rest.length > 0) throw new SyntaxError(`Unknown scale "${text.trim().slice(tonicName.length + 1)}"`);
+
+  return { tonic: parseNoteName(tonicName), steps };
+}
+
+/**
+ * Converts a scale degree into a note number: 0 is the tonic, and the degrees continue up and down by octaves.
+ * Fractional degrees land between the degrees around them.
+ * @param {Key} key
+ * @param {number} degree
+ */
+export function degreeToNote(key, degree) {
+  const { tonic, steps } = key;
+  const whole = Math.floor(degree);
+  const note = tonic + stepsAbove(steps, whole);
+
+  if (degree === whole) return note;
+  return note + (degree - whole) * (stepsAbove(steps, whole + 1) - stepsAbove(steps, whole));
+}
+
+/**
+ * Moves a note number by scale degrees. Notes outside the scale keep their distance from the degree below them.
+ * @param {Key} key
+ * @param {number} note
+ * @param {number} degrees
+ */
+export function transposeInKey(key, note, degrees) {
+  const { tonic, steps } = key;
+  const octaves = Math.floor((note - tonic) / 12);
+  const semitones = note - tonic - octaves * 12;
+
+  let index = steps.length - 1;
+  while (index > 0 && steps[index] > semitones) index--;
+
+  const degree = octaves * steps.length + index;
+  return degreeToNote(key, degree + degrees) + semitones - steps[index];
+}
+
+/**
+ * @param {number[]} steps
+ * @param {number} degree - a whole number
+ */
+function stepsAbove(steps, degree) {
+  const octaves = Math.floor(degree / steps.length);
+  return octaves * 12 + steps[degree - octaves * steps.length];
+}
@@ -1,340 +1,970 @@
-import { createInstrument, destroyInstrument, playInstrument } from "./instruments.js";
+import {
+  advancePlayhead,
+  countTracks,
+  createPlayhead,
+  findSection,
+  queueSection,
+  sectionEndsAt,
+  startPlayhead,
+} from "./arrangement.js";
+import {
+  createInstrument,
+  destroyInstrument,
+  releaseNote,
+  silenceInstrument,
+  slideNote,
+  startNote,
+} from "./instruments.js";
 import { midiToFrequency } from "./notes.js";
+import { createSequencer, scheduleSequence } from "./sequence.js";
+import { createTempoMap, positionToTime, setTempo, timeToPosition } from "./tempo.js";
+import {
+  automateTrackBus,
+  cancelTrackBusAutomation,
+  configureTrackBus,
+  createTrackBus,
+  destroyTrackBus,
+} from "./trackBus.js";
 
-const defaultOptions = { playAhead: 0.2, numberToFrequency: midiToFrequency };
+/**
+ * @typedef {object} Host - how the scheduler finds out about its surroundings
+ * @property {(audioContext: BaseAudioContext) => number} currentTime - the time notes are scheduled ahead of
+ * @property {() => boolean} isThrottled - whether `scheduleMusic` is probably being called less often than requested
+ * @property {(playAhead: number, throttled: boolean) => number} scheduleAheadBy - how far ahead notes should be scheduled
+ * @property {(tick: () => void, interval: number) => () => void} startTicking - calls `tick` repeatedly, returns a function that stops it
+ * @property {(audioContext: BaseAudioContext, at: number) => number} performanceTime - predicts when `at` will be heard, in `performance.now()` time
+ */
+/** @type {Host} uses the AudioContext's clock, and assumes hidden pages get their timers throttled to 1s */
+export const domHost = {
+  currentTime: (audioContext) => audioContext.currentTime,
+  isThrottled: () => typeof document !== "undefined" && document.hidden,
+  scheduleAheadBy: (playAhead, throttled) => (throttled ? 1.0 + playAhead : playAhead),
+  startTicking: (tick, interval) => {
+    const intervalId = setInterval(tick, interval * 1000.0);
+    // Also tick when page visibility changes, to avoid a gap
+    if (typeof document !== "undefined") document.addEventListener("visibilitychange", tick);
+
+    return () => {
+      clearInterval(intervalId);
+      if (typeof document !== "undefined") document.removeEventListener("visibilitychange", tick);
+    };
+  },
+  performanceTime: (audioContext, at) => {
+    // The output timestamp already accounts for latency, when the browser supports it
+    const timestamp = "getOutputTimestamp" in audioContext ? audioContext.getOutputTimestamp() : null;
+    if (timestamp?.performanceTime) return timestamp.performanceTime + (at - timestamp.contextTime) * 1000.0;
+
+    const latency = (audioContext.baseLatency ?? 0.0) + (audioContext.outputLatency ?? 0.0);
+    return performance.now() + (at - audioContext.currentTime + latency) * 1000.0;
+  },
+};
+
+const defaultOptions = {
+  playAhead: 0.2,
+  numberToFrequency: midiToFrequency,
+  host: domHost,
+  seed: 0,
+  /** @type {((event: NoteHook) => void) | null} */
+  onNote: null,
+  /** @type {((event: CycleHook) => void) | null} */
+  onCycle: null,
+  /** @type {((event: BarHook) => void) | null} */
+  onBar: null,
+  beatsPerBar: 4,
+};
 
 /**
  * @typedef {typeof import("./instrumentPresets.js").genericInstrument} InstrumentPreset
- * @typedef {object} PlayableOptions
- * @property {number=} velocity - how strongly the note is played (does not affect volume)
- * @property {number=} volume - how loud the note is
- * @property {number=} vibrato - amount of vibrato
- * @property {number=} vibratoFrequency - frequency of vibrato
- * @property {number=} transpose - added to the note's midi number
- * @property {number=} root - used with `midiToJustFrequency`
- * @property {boolean=} alternate - sequentially pick just one entry, instead of subdividing time
- * @property {boolean=} chord - play all entries at the same time, instead of subdividing time
- * @typedef {(PlayableOptions | number | undefined | Playable)[]} Playable
- * @typedef {(instrument: ReturnType<typeof createInstrument>) => void} ConnectInstrument
- * @param {([InstrumentPreset, Playable])[]} tracks
- * @param {number} cycle
+ * @typedef {import("./sequence.js").Playable} Playable
+ * @typedef {import("./tempo.js").TempoMap} TempoMap
+ * @typedef {import("./trackBus.js").TrackOptions} TrackOptions
+ * @typedef {import("./trackBus.js").TrackBus} TrackBus
+ * @typedef {import("./arrangement.js").Arrangement} Arrangement
+ * @typedef {import("./events.js").NoteHook} NoteHook
+ * @typedef {import("./events.js").CycleHook} CycleHook
+ * @typedef {import("./events.js").BarHook} BarHook
+ * @typedef {(number?: number, tuning?: number, root?: number, soundingNotes?: number[]) => number} NumberToFrequency - converts note numbers to Hz. `soundingNotes` are the notes playing together with this one, including it.
+ * @typedef {[InstrumentPreset, Playable, TrackOptions?]} Track
+ * @typedef {(bus: TrackBus, trackIndex: number) => void} ConnectInstrument - connects a track's bus to your audio system, once per track. Before 1.0 it got every instrument separately instead.
+ * @param {Track[] | Arrangement} tracks - or an arrangement of sections with their own tracks
+ * @param {number | TempoMap} cycle - in seconds, or a tempo map
  * @param {AudioContext} audioContext
  * @param {ConnectInstrument} connectInstrument
  */
 export const scheduleMusic = (tracks, cycle, audioContext, connectInstrument, options = defaultOptions) => {
   const playAhead = options.playAhead ?? defaultOptions.playAhead;
   const numberToFrequency = options.numberToFrequency ?? defaultOptions.numberToFrequency;
+  const host = options.host ?? defaultOptions.host;
+  const seed = options.seed ?? defaultOptions.seed;
+  const onNote = options.onNote ?? defaultOptions.onNote;
+  const onCycle = options.onCycle ?? defaultOptions.onCycle;
+  const onBar = options.onBar ?? defaultOptions.onBar;
+  const beatsPerBar = options.beatsPerBar ?? defaultOptions.beatsPerBar;
 
-  const { currentTime } = audioContext;
   if (audioContext.state !== "running") return;
-
-  /** @type {Schedule} */
-  const schedule =
-    schedules.get(audioContext) || schedules.set(audioContext, createSchedule(audioContext)).get(audioContext);
-
+  const currentTime = host.currentTime(audioContext);
+
+  const schedule = getSchedule(audioContext);
+  updateTempo(schedule, cycle);
+
+  if (Array.isArray(tracks)) {
+    // Tracks that replace an arrangement start their automation over
+    if (schedule.arrangement) schedule.tracksStartedAt = Number.NaN;
+    schedule.tracks = tracks;
+    schedule.arrangement = null;
+  } else {
+    schedule.arrangement = tracks;
+  }
   schedule.connectInstrument = connectInstrument;
   schedule.numberToFrequency = numberToFrequency;
+  schedule.seed = seed;
+  schedule.onNote = onNote;
 
-  // TODO: use baseLatency to better align sounds with visuals?
+  // Lets events tell when they'll be heard, in `performance.now()` time
+  if (onNote || onCycle || onBar) schedule.performanceOffset = host.performanceTime(audioContext, 0.0);
 
   // Skip to current time if needed
   if (schedule.scheduledUpTo < currentTime) {
     schedule.scheduledUpTo += currentTime + playAhead - schedule.scheduledUpTo;
   }
 
-  const scheduleAheadBy = document.hidden ? 1.0 + playAhead : playAhead;
+  const scheduleAheadBy = host.scheduleAheadBy(playAhead, host.isThrottled());
 
   if (schedule.scheduledUpTo < currentTime + scheduleAheadBy) {
     const from = schedule.scheduledUpTo;
     const to = currentTime + scheduleAheadBy;
     schedule.scheduledUpTo = to;
 
-    const cycleEndsAt = (Math.floor(from / cycle) + 1.0) * cycle;
-    const cyclesToCheck = to > cycleEndsAt ? 2 : 1;
+    // From here on time is measured in cycles, instead of seconds
+    const { tempo, nextTracks, nextTracksAt } = schedule;
+    const fromPosition = timeToPosition(tempo, from);
+    const toPosition = timeToPosition(tempo, to);
+
+    // Swap to the next tracks if it's time
+    if (nextTracks && nextTracksAt < toPosition) {
+      if (fromPosition < nextTracksAt) schedulePlaying(schedule, fromPosition, nextTracksAt);
+
+      schedule.tracks = nextTracks;
+      schedule.arrangement = null;
+      schedule.nextTracks = null;
+      restartAutomation(schedule, nextTracksAt);
 
-    // Start scheduling the tracks
-    for (const [instrumentPreset, sequence] of tracks) {
-      if (!instrumentPreset) continue;
+      schedulePlaying(schedule, Math.max(fromPosition, nextTracksAt), toPosition);
+    } else {
+      schedulePlaying(schedule, fromPosition, toPosition);
+    }
 
-      let checkedCycles = 0;
+    if (onCycle) emitBoundaries(schedule, onCycle, "cycle", 1.0, fromPosition, toPosition);
+    if (onBar) emitBoundaries(schedule, onBar, "bar", beatsPerBar / tempo.beatsPerCycle, fromPosition, toPosition);
 
-      // Schedule the cycles within reach, and keep going if a note is pending
-      while (checkedCycles < cyclesToCheck || schedule.pendingNote.pending) {
-        const cycleStartedAt = (Math.floor(from / cycle) + checkedCycles) * cycle;
-        const period = cycleStartedAt / cycle;
+    // Destroy inactive instruments, and the buses of tracks that no longer exist
+    const trackCount = schedule.arrangement ? countTracks(schedule.arrangement) : schedule.tracks.length;
 
-        schedulePart(schedule, instrumentPreset, sequence, cycleStartedAt, cycle, period, from, to);
+    for (let index = 0; index < schedule.trackStates.length; index++) {
+      const trackState = schedule.trackStates[index];
+      destroyInactiveInstruments(trackState.instruments, tempo, toPosition);
 
-        checkedCycles++;
-        if (checkedCycles > 64)
-          throw new Error(
-            "scheduleMusic tried to loop way too many times: either the cycle is too short or the tracks are messed up",
-          );
+      if (trackState.bus && index >= trackCount && trackState.instruments.size === 0) {
+        destroyTrackBus(trackState.bus);
+        trackState.bus = null;
       }
     }
+  }
+};
 
-    // Destroy inactive instruments, and remove instrumentSets with no instruments remaining
-    for (const [preset, instrumentSet] of schedule.instruments) {
-      for (const instrument of instrumentSet) {
-        if (schedule.scheduledUpTo - instrument.willPlayUntil > cycle * 8.0) {
-          destroyInstrument(instrument);
-          instrumentSet.delete(instrument);
-        }
+/**
+ * Schedules the arrangement, or the tracks if there isn't one
+ * @param {Schedule} schedule
+ * @param {number} from - in cycles
+ * @param {number} to
+ */
+const schedulePlaying = (schedule, from, to) => {
+  if (schedule.arrangement) {
+    scheduleArrangement(schedule, schedule.arrangement, from, to);
+  } else {
+    if (Number.isNaN(schedule.tracksStartedAt)) schedule.tracksStartedAt = Math.floor(from);
+    scheduleTracks(schedule, schedule.tracks, from, to, 0.0, schedule.tracksStartedAt);
+  }
+};
+
+/**
+ * Makes the automation of the tracks start over from `position`, cancelling what's been scheduled after `at`
+ * @param {Schedule} schedule
+ * @param {number} position - in cycles, or NaN to start from the first cycle that gets scheduled next
+ * @param {number} at - in seconds
+ */
+const restartAutomation = (schedule, position, at = positionToTime(schedule.tempo, position)) => {
+  for (const trackState of schedule.trackStates) {
+    if (trackState.bus) cancelTrackBusAutomation(trackState.bus, at);
+  }
+
+  schedule.tracksStartedAt = position;
+};
+
+/**
+ * Schedules the sections of `arrangement` that play between `from` (inclusive) and `to` (exclusive), in cycles.
+ * Each section's tracks start from their own cycle 0.
+ * @param {Schedule} schedule
+ * @param {Arrangement} arrangement
+ * @param {number} from
+ * @param {number} to
+ */
+const scheduleArrangement = (schedule, arrangement, from, to) => {
+  const { playhead, tempo } = schedule;
+  if (playhead.arrangement !== arrangement || Number.isNaN(playhead.startsAt)) {
+    startPlayhead(playhead, arrangement, Math.floor(from));
+  }
+
+  let position = from;
+
+  while (position < to) {
+    // After the timeline has ended, only `goTo` can continue it
+    const endsAt = sectionEndsAt(playhead);
+    const segmentEnd = Math.min(to, endsAt);
+
+    if (playhead.section !== null && segmentEnd > position) {
+      const { tracks } = findSection(arrangement, playhead.section);
+      scheduleTracks(schedule, tracks, position, segmentEnd, playhead.startsAt, playhead.startsAt, endsAt);
+    }
+    if (segmentEnd < endsAt || endsAt === Number.POSITIVE_INFINITY) break;
+
+    advancePlayhead(playhead, endsAt);
+    position = endsAt;
+
+    // Automation is relative to the start of each section, so it starts over
+    for (const trackState of schedule.trackStates) {
+      if (trackState.bus) cancelTrackBusAutomation(trackState.bus, positionToTime(tempo, endsAt));
+    }
+  }
+};
+
+/**
+ * Calls `callback` for each cycle or bar that starts between `from` (inclusive) and `to` (exclusive)
+ * @param {Schedule} schedule
+ * @param {(event: any) => void} callback
+ * @param {"cycle" | "bar"} key
+ * @param {number} length - in cycles
+ * @param {number} from
+ * @param {number} to
+ */
+const emitBoundaries = (schedule, callback, key, length, from, to) => {
+  const event = key === "cycle" ? schedule.cycleHook : schedule.barHook;
+
+  for (let index = Math.ceil(from / length); index * length < to; index++) {
+    event[key] = index;
+    event.at = positionToTime(schedule.tempo, index * length);
+    event.time = schedule.performanceOffset + event.at * 1000.0;
+    callback(event);
+  }
+};
+
+/**
+ * Destroys instruments that haven't played in a while, and removes instrumentSets with no instruments remaining
+ * @param {InstrumentSets} instruments
+ * @param {TempoMap} tempo
+ * @param {number} position
+ */
+const destroyInactiveInstruments = (instruments, tempo, position) => {
+  for (const [preset, instrumentSet] of instruments) {
+    for (const instrument of instrumentSet) {
+      if (position - timeToPosition(tempo, instrument.willPlayUntil) > 8.0) {
+        destroyInstrument(instrument);
+        instrumentSet.delete(instrument);
       }
+    }
+
+    if (instrumentSet.size === 0) instruments.delete(preset);
+  }
+};
+
+/**
+ * Creates a controller that keeps calling `scheduleMusic` on its own, and lets you stop, mute and swap tracks.
+ * Takes the same parameters as `scheduleMusic`.
+ * @param {Track[] | Arrangement} tracks
+ * @param {number | TempoMap} cycle
+ * @param {AudioContext} audioContext
+ * @param {ConnectInstrument} connectInstrument
+ */
+export const createMusicController = (tracks, cycle, audioContext, connectInstrument, options = defaultOptions) => {
+  const playAhead = options.playAhead ?? defaultOptions.playAhead;
+  const host = options.host ?? defaultOptions.host;
+
+  const schedule = getSchedule(audioContext);
+  updateTempo(schedule, cycle);
+
+  if (Array.isArray(tracks)) {
+    schedule.tracks = tracks;
+  } else {
+    schedule.arrangement = tracks;
+  }
+
+  let stopTicking = null;
+
+  const update = () =>
+    scheduleMusic(schedule.arrangement ?? schedule.tracks, cycle, audioContext, connectInstrument, options);
+
+  const start = () => {
+    if (stopTicking) return;
+
+    // Continue from the current time, instead of skipping ahead like after a lagspike
+    schedule.scheduledUpTo = Math.max(schedule.scheduledUpTo, host.currentTime(audioContext));
+
+    stopTicking = host.startTicking(update, playAhead / 2.0);
+    update();
+  };
+
+  /**
+   * Stops scheduling, and cancels any notes that were scheduled but haven't started yet
+   * @param {object} options
+   * @param {number=} options.fadeOut - how long it takes for the notes already playing to fade out, in seconds
+   */
+  const stop = ({ fadeOut = 0.0 } = {}) => {
+    stopTicking?.();
+    stopTicking = null;
+
+    const at = host.currentTime(audioContext);
+
+    for (const trackState of schedule.trackStates) {
+      silenceTrack(trackState, at, fadeOut);
+      if (trackState.bus) cancelTrackBusAutomation(trackState.bus, at);
+    }
+
+    schedule.scheduledUpTo = at;
+    schedule.nextTracks = null;
+    schedule.bufferedNoteCount = 0;
+
+    // The arrangement starts again from the beginning of the section it was on, and the tracks' automation starts over
+    schedule.playhead.startsAt = Number.NaN;
+    schedule.tracksStartedAt = Number.NaN;
+  };
+
+  /**
+   * Replaces the tracks being played, or the arrangement
+   * @param {Track[]} tracks
+   * @param {object} options
+   * @param {"nextCycle" | "now"=} options.at - "now" still lets already scheduled notes play
+   */
+  const setTracks = (tracks, { at = "nextCycle" } = {}) => {
+    if (at === "now") {
+      schedule.tracks = tracks;
+      schedule.arrangement = null;
+      schedule.nextTracks = null;
+
+      restartAutomation(schedule, Number.NaN, Math.max(schedule.scheduledUpTo, host.currentTime(audioContext)));
+      return;
+    }
+
+    const scheduledUpTo = Math.max(schedule.scheduledUpTo, host.currentTime(audioContext));
+    schedule.nextTracks = tracks;
+    schedule.nextTracksAt = Math.floor(timeToPosition(schedule.tempo, scheduledUpTo)) + 1.0;
+  };
+
+  /**
+   * Jumps to another section of the arrangement, and continues its timeline from there.
+   * Sections that aren't in the timeline keep repeating until the next jump.
+   * @param {string} section
+   * @param {object} options
+   * @param {"cycle" | "section"=} options.quantize - jump when the next cycle starts, or when the current section ends
+   */
+  const goTo = (section, { quantize = "cycle" } = {}) => {
+    if (!schedule.arrangement) throw new Error("`goTo` needs an arrangement instead of tracks");
+    if (quantize !== "cycle" && quantize !== "section") {
+      throw new Error(`Unknown quantize "${quantize}": use "cycle" or "section"`);
+    }
+
+    findSection(schedule.arrangement, section);
+
+    const { playhead } = schedule;
+    const scheduledUpTo = Math.max(schedule.scheduledUpTo, host.currentTime(audioContext));
+    const nextCycle = Math.floor(timeToPosition(schedule.tempo, scheduledUpTo)) + 1.0;
+    const started = playhead.arrangement === schedule.arrangement && !Number.isNaN(playhead.startsAt);
+
+    // Before starting, the arrangement just starts from the section
+    queueSection(playhead, section, !started || quantize === "cycle" ? nextCycle : sectionEndsAt(playhead));
+  };
+
+  /**
+   * Changes the tempo from where scheduling has reached, keeping the cycles continuous.
+   * If `cycle` was a plain number instead of a tempo map, each cycle counts as 1 beat.
+   * @param {number} bpm
+   * @param {object} options
+   * @param {number=} options.ramp - how many cycles it takes to reach the new tempo
+   */
+  const changeTempo = (bpm, { ramp = 0.0 } = {}) => {
+    const scheduledUpTo = Math.max(schedule.scheduledUpTo, host.currentTime(audioContext));
+    setTempo(schedule.tempo, bpm, timeToPosition(schedule.tempo, scheduledUpTo), ramp);
+  };
+
+  /**
+   * Silences a track, including the notes it has already scheduled, or lets it play again if `muted` is false
+   * @param {number} index
+   * @param {boolean} muted
+   * @param {object} options
+   * @param {number=} options.fadeOut - how long it takes for the notes already playing to fade out, in seconds
+   */
+  const muteTrack = (index, muted = true, { fadeOut = 0.0 } = {}) => {
+    if (!muted) {
+      schedule.mutedTracks.delete(index);
+      return;
+    }
+
+    schedule.mutedTracks.add(index);
+    if (index < schedule.trackStates.length) {
+      silenceTrack(schedule.trackStates[index], host.currentTime(audioContext), fadeOut);
+    }
+  };
+
+  return { start, stop, setTracks, goTo, muteTrack, setTempo: changeTempo, update };
+};
+
+/**
+ * Cancels the notes of a track from `at` onwards, fades out the ones playing, and forgets its slides and legato notes
+ * @param {TrackState} trackState
+ * @param {number} at
+ * @param {number} fadeOut - in seconds
+ */
+const silenceTrack = (trackState, at, fadeOut) => {
+  for (const instrumentSet of trackState.instruments.values()) {
+    for (const instrument of instrumentSet) silenceInstrument(instrument, at, fadeOut);
+  }
+
+  trackState.slidingInstrument = null;
+  trackState.slide = undefined;
+};
+
+const defaultRenderOptions = { cycles: 1, sampleRate: 44100, numberToFrequency: midiToFrequency, seed: 0 };
+
+/**
+ * Renders `tracks` into audio in one go, using an `OfflineAudioContext`.
+ * The notes are scheduled exactly like in `scheduleMusic`, just without any real-time clock.
+ * @param {Track[] | Arrangement} tracks
+ * @param {number | TempoMap} cycle
+ * @param {object} options
+ * @param {number=} options.cycles - how many cycles to render
+ * @param {number=} options.sampleRate
+ * @param {NumberToFrequency=} options.numberToFrequency
+ * @param {ConnectInstrument=} options.connectInstrument - connects straight to the destination by default
+ * @param {number=} options.seed - for the random sequence options, same as in `scheduleMusic`
+ * @returns {Promise<{ audioBuffer: AudioBuffer, wav: ArrayBuffer }>}
+ */
+export const renderMusic = async (tracks, cycle, options = defaultRenderOptions) => {
+  const cycles = options.cycles ?? defaultRenderOptions.cycles;
+  const sampleRate = options.sampleRate ?? defaultRenderOptions.sampleRate;
+  const numberToFrequency = options.numberToFrequency ?? defaultRenderOptions.numberToFrequency;
+
+  const tempo = typeof cycle === "number" ? createTempoMap(60.0 / cycle, 1.0) : cycle;
+  const duration = positionToTime(tempo, cycles);
+  const audioContext = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+
+  const schedule = createSchedule(audioContext);
+  schedule.connectInstrument = options.connectInstrument ?? ((bus) => bus.output.connect(audioContext.destination));
+  schedule.numberToFrequency = numberToFrequency;
+  schedule.tempo = tempo;
+  schedule.seed = options.seed ?? defaultRenderOptions.seed;
+
+  if (Array.isArray(tracks)) {
+    schedule.tracks = tracks;
+  } else {
+    schedule.arrangement = tracks;
+  }
+  schedulePlaying(schedule, 0.0, cycles);
+
+  const audioBuffer = await audioContext.startRendering();
+  return { audioBuffer, wav: encodeWav(audioBuffer) };
+};
+
+/**
+ * Schedules every note of `tracks` that starts between `from` (inclusive) and `to` (exclusive), in cycles
+ * @param {Schedule} schedule
+ * @param {Track[]} tracks
+ * @param {number} from
+ * @param {number} to
+ * @param {number} offset - where cycle 0 of the tracks is, for sections of an arrangement
+ * @param {number} anchor - where position 0 of the tracks' automation is: where they started playing, or `offset`
+ * @param {number} until - where the tracks stop, like at the end of a section: notes still playing there are cut short
+ */
+const scheduleTracks = (
+  schedule,
+  tracks,
+  from,
+  to,
+  offset = 0.0,
+  anchor = offset,
+  until = Number.POSITIVE_INFINITY,
+) => {
+  forgetEndedNotes(schedule, positionToTime(schedule.tempo, from));
+  schedule.positionOffset = offset;
+
+  for (let index = 0; index < tracks.length; index++) {
+    const [instrumentPreset, sequence, trackOptions] = tracks[index];
+    if (!instrumentPreset || schedule.mutedTracks.has(index)) continue;
+
+    const trackState = getTrackState(schedule, index);
+    const bus = trackState.bus ?? createBus(schedule, trackState, index);
 
-      if (instrumentSet.size === 0) schedule.instruments.delete(preset);
+    if (trackOptions) {
+      configureTrackBus(bus, trackOptions, positionToTime(schedule.tempo, from));
+      if (trackOptions.automation) {
+        automateTrackBus(bus, trackOptions.automation, from - anchor, to - anchor, schedule.tempo, anchor);
+      }
     }
+
+    schedule.instrumentPreset = instrumentPreset;
+    schedule.trackState = trackState;
+    schedule.trackIndex = index;
+    schedule.previousChord = trackState.previousChord;
+    scheduleSequence(schedule, sequence, from - offset, to - offset, until - offset);
   }
+
+  playBufferedNotes(schedule);
+};
+
+/**
+ * @param {Schedule} schedule
+ * @param {TrackState} trackState
+ * @param {number} index
+ */
+const createBus = (schedule, trackState, index) => {
+  const bus = createTrackBus(schedule.audioContext);
+  schedule.connectInstrument(bus, index);
+
+  trackState.bus = bus;
+  trackState.connectToBus = (instrument) => instrument.output.connect(bus.input);
+  return bus;
+};
+
+/**
+ * Keeps the schedule's tempo map in sync with `cycle`.
+ * Plain numbers get their own tempo map, which changes tempo where scheduling left off if the number changes.
+ * @param {Schedule} schedule
+ * @param {number | TempoMap} cycle
+ */
+const updateTempo = (schedule, cycle) => {
+  if (typeof cycle !== "number") {
+    schedule.tempo = cycle;
+    schedule.cycle = 0.0;
+    return;
+  }
+
+  if (schedule.cycle === cycle) return;
+
+  const bpm = 60.0 / cycle;
+  const position = schedule.tempo ? timeToPosition(schedule.tempo, schedule.scheduledUpTo) : 0.0;
+
+  if (schedule.cycle > 0.0) {
+    setTempo(schedule.tempo, bpm, position);
+  } else {
+    schedule.tempo = createTempoMap(bpm, 1.0);
+    schedule.tempo.segments[0].position = position;
+    schedule.tempo.segments[0].at = schedule.scheduledUpTo;
+  }
+
+  schedule.cycle = cycle;
 };
 
 const schedules = new WeakMap();
 
 /**
-  @param {AudioContext} audioContext
+  @param {BaseAudioContext} audioContext
+  @returns {Schedule}
+*/
+const getSchedule = (audioContext) =>
+  schedules.get(audioContext) || schedules.set(audioContext, createSchedule(audioContext)).get(audioContext);
+
+/**
+  @param {BaseAudioContext} audioContext
 */
 const createSchedule = (audioContext) =>
   Object.seal({
+    ...createSequencer(bufferPendingNote),
+    /** @type {InstrumentPreset} the preset of the track being scheduled */
+    instrumentPreset: null,
+    /** @type {TrackState} the state of the track being scheduled */
+    trackState: null,
+    /** @type {BufferedNote[]} notes waiting to be played, and notes still sounding from earlier */
+    bufferedNotes: [],
+    bufferedNoteCount: 0,
+    /** @type {number[]} reused for passing the notes sounding together to `numberToFrequency` */
+    soundingNotes: [],
+    /** @type {TrackState[]} per track index */
+    trackStates: [],
+    /** the index of the track being scheduled */
+    trackIndex: 0,
+    /** reused for every note */
+    noteOptions: Object.seal({
+      velocity: 1.0,
+      volume: 1.0,
+      vibrato: 0.0,
+      vibratoFrequency: 5.0,
+      duration: 0.0,
+      bend: undefined,
+      slide: undefined,
+      /** @type {string | undefined} */
+      articulation: undefined,
+    }),
     scheduledUpTo: 0.0,
-    instruments: new Map(),
+    /** @type {TempoMap} converts between seconds and cycles */
+    tempo: null,
+    /** the plain `cycle` number `tempo` was created from, if any */
+    cycle: 0.0,
+    /** @type {Track[]} */
+    tracks: [],
+    /** @type {Arrangement | null} played instead of `tracks`, if set */
+    arrangement: null,
+    /** where the arrangement is */
+    playhead: createPlayhead(),
+    /** where cycle 0 of the tracks being scheduled is, in cycles */
+    positionOffset: 0.0,
+    /** where `tracks` started playing, in cycles, which their automation is relative to, or NaN if they haven't started yet */
+    tracksStartedAt: Number.NaN,
+    /** @type {Track[] | null} tracks that will replace `tracks` at `nextTracksAt` */
+    nextTracks: null,
+    /** in cycles */
+    nextTracksAt: 0.0,
+    /** @type {Set<number>} indexes of tracks that should not be scheduled */
+    mutedTracks: new Set(),
     audioContext,
     /** @type {ConnectInstrument} */
     connectInstrument: () => {
       throw new Error("Missing `connectInstrument` parameter in `scheduleMusic`");
     },
+    /** @type {NumberToFrequency} */
     numberToFrequency: midiToFrequency,
-    pendingNote: Object.seal({
-      pending: false,
-      instrumentPreset: null,
-      note: 0,
-      root: 0,
-      at: 0,
-      duration: 0,
-      velocity: undefined,
-      volume: undefined,
-      vibrato: undefined,
-      vibratoFrequency: undefined,
-    }),
+    /** @type {((event: NoteHook) => void) | null} */
+    onNote: null,
+    /** `performance.now()` time at AudioContext time 0, in milliseconds */
+    performanceOffset: 0.0,
+    // Reused for every event
+    /** @type {NoteHook} */
+    noteHook: Object.seal({ track: 0, note: 0, at: 0.0, time: 0.0, duration: 0.0, velocity: 1.0, volume: 1.0 }),
+    /** @type {CycleHook} */
+    cycleHook: Object.seal({ cycle: 0, at: 0.0, time: 0.0 }),
+    /** @type {BarHook} */
+    barHook: Object.seal({ bar: 0, at: 0.0, time: 0.0 }),
   });
 
 /**
- * @typedef {ReturnType<typeof createSchedule>} Schedule
  * @param {Schedule} schedule
- * @param {InstrumentPreset} instrumentPreset
- * @param {Playable | number | undefined} playable
- * @param {number} velocityFromParent
- * @param {number} volumeFromParent
- * @param {number} vibratoFromParent
- * @param {number} vibratoFrequencyFromParent
- * @param {number} transposeFromParent
- * @param {number} rootFromParent
+ * @param {number} index
  */
-const schedulePart = (
-  schedule,
-  instrumentPreset,
-  playable,
-  at = 0.0,
-  duration = 0.0,
-  period = 0.0,
-  from = 0.0,
-  to = 0.0,
-  velocityFromParent = undefined,
-  volumeFromParent = undefined,
-  vibratoFromParent = undefined,
-  vibratoFrequencyFromParent = undefined,
-  transposeFromParent = undefined,
-  rootFromParent = undefined,
-) => {
-  if (at > to && !schedule.pendingNote.pending) return;
-
-  if (typeof playable === "number") {
-    if (at < from) return;
-
-    // End pending note, if there is one
-    if (schedule.pendingNote.pending) playPendingNote(schedule);
-
-    // Start a new note if it's within reach
-    if (at > to) return;
-
-    const note = playable + (transposeFromParent ?? 0);
-    const root = rootFromParent || 0;
-    const velocity = velocityFromParent;
-    const volume = volumeFromParent;
-    const vibrato = vibratoFromParent;
-    const vibratoFrequency = vibratoFrequencyFromParent;
-
-    schedule.pendingNote.instrumentPreset = instrumentPreset;
-    schedule.pendingNote.note = note;
-    schedule.pendingNote.root = root;
-    schedule.pendingNote.at = at;
-    schedule.pendingNote.duration = duration;
-    schedule.pendingNote.velocity = velocity;
-    schedule.pendingNote.volume = volume;
-    schedule.pendingNote.vibrato = vibrato;
-    schedule.pendingNote.vibratoFrequency = vibratoFrequency;
-
-    schedule.pendingNote.pending = true;
-    return schedule;
-  }
+const getTrackState = (schedule, index) => {
+  while (schedule.trackStates.length <= index) schedule.trackStates.push(createTrackState());
+  return schedule.trackStates[index];
+};
 
-  // Skip nulls, but also make them end pending notes
-  if (playable === null) {
-    if (schedule.pendingNote.pending) playPendingNote(schedule);
-    return;
-  }
+const createTrackState = () =>
+  Object.seal({
+    /** @type {TrackBus | null} what the track's instruments play through */
+    bus: null,
+    /** @type {InstrumentSets} */
+    instruments: new Map(),
+    /** @type {(instrument: Instrument) => void} */
+    connectToBus: null,
+    /** @type {Instrument | null} the instrument of the previous note, preferred for the next one */
+    previousInstrument: null,
+    /** @type {Instrument | null} the instrument of the previous note, if it should slide into the next one */
+    slidingInstrument: null,
+    /** @type {number | undefined} the glide `timeConstant`, or undefined for the preset's own `glide` */
+    slide: undefined,
+    /** the `startedPlayingAt` of the sliding instrument, to notice if another track has taken it over */
+    slidingSince: 0.0,
+    /** in seconds */
+    slideStartsAt: 0.0,
+    slideEndsAt: 0.0,
+    /** @type {number[]} for `voicing` */
+    previousChord: [],
+  });
 
-  // If extender, extend pending note
-  if (playable === undefined) {
-    if (schedule.pendingNote.pending) schedule.pendingNote.duration += duration;
-    return;
-  }
+/**
+ * @typedef {ReturnType<typeof createTrackState>} TrackState
+ * @typedef {ReturnType<typeof createInstrument>} Instrument
+ * @typedef {Map<InstrumentPreset, Set<Instrument>>} InstrumentSets - the instruments of a track, by preset
+ * @typedef {ReturnType<typeof createSchedule>} Schedule
+ * @typedef {ReturnType<typeof createBufferedNote>} BufferedNote
+ */
 
-  // Skip unknowns
-  if (!Array.isArray(playable)) return;
+const createBufferedNote = () =>
+  Object.seal({
+    note: 0,
+    root: 0,
+    /** in seconds */
+    at: 0.0,
+    duration: 0.0,
+    velocity: 1.0,
+    volume: 1.0,
+    vibrato: 0.0,
+    vibratoFrequency: 5.0,
+    /** @type {boolean | number | undefined} */
+    slide: undefined,
+    legatoNext: false,
+    /** @type {number[] | undefined} */
+    bend: undefined,
+    /** @type {string | undefined} */
+    articulation: undefined,
+    /** @type {InstrumentPreset} */
+    instrumentPreset: null,
+    /** @type {TrackState} */
+    trackState: null,
+    trackIndex: 0,
+    played: false,
+  });
 
-  // Merge options
-  let amountOfOptions = 0;
-  let alternate = false;
-  let chord = false;
+/**
+ * Collects the notes from every track first, so each note can be tuned knowing what else is sounding with it.
+ * Keeps the buffer in order of when the notes start.
+ * @param {Schedule} schedule
+ */
+const bufferPendingNote = (schedule) => {
+  const { pendingNote, bufferedNotes, tempo } = schedule;
+  if (schedule.bufferedNoteCount === bufferedNotes.length) bufferedNotes.push(createBufferedNote());
 
-  let velocity = velocityFromParent;
-  let volume = volumeFromParent;
-  let vibrato = vibratoFromParent;
-  let vibratoFrequency = vibratoFrequencyFromParent;
-  let transpose = transposeFromParent;
-  let root = rootFromParent;
+  let index = schedule.bufferedNoteCount++;
+  const bufferedNote = bufferedNotes[index];
 
-  for (let index = 0; index < playable.length; index++) {
-    const child = playable[index];
+  // Convert from cycles to seconds
+  const at = positionToTime(tempo, pendingNote.at + schedule.positionOffset);
 
-    if (child && typeof child === "object" && !Array.isArray(child) && !ArrayBuffer.isView(child)) {
-      velocity = child.velocity ?? velocity;
-      volume = child.volume ?? volume;
-      vibrato = child.vibrato ?? vibrato;
-      vibratoFrequency = child.vibratoFrequency ?? vibratoFrequency;
-      transpose = child.transpose ?? transpose;
-      root = child.root ?? root;
+  while (index > 0 && bufferedNotes[index - 1].at > at) {
+    bufferedNotes[index] = bufferedNotes[index - 1];
+    index--;
+  }
+  bufferedNotes[index] = bufferedNote;
+
+  bufferedNote.note = pendingNote.note;
+  bufferedNote.root = pendingNote.root;
+  bufferedNote.at = at;
+  bufferedNote.duration = positionToTime(tempo, pendingNote.at + pendingNote.duration + schedule.positionOffset) - at;
+  bufferedNote.velocity = pendingNote.velocity;
+  bufferedNote.volume = pendingNote.volume;
+  bufferedNote.vibrato = pendingNote.vibrato;
+  bufferedNote.vibratoFrequency = pendingNote.vibratoFrequency;
+  bufferedNote.slide = pendingNote.slide;
+  bufferedNote.legatoNext = pendingNote.legatoNext;
+  bufferedNote.bend = pendingNote.bend;
+  bufferedNote.articulation = pendingNote.articulation;
+  bufferedNote.instrumentPreset = schedule.instrumentPreset;
+  bufferedNote.trackState = schedule.trackState;
+  bufferedNote.trackIndex = schedule.trackIndex;
+  bufferedNote.played = false;
+};
 
-      alternate = alternate || child.alternate;
-      chord = chord || child.chord;
+/**
+ * Forgets buffered notes that have ended by `time`, keeping the rest in order
+ * @param {Schedule} schedule
+ * @param {number} time - in seconds
+ */
+const forgetEndedNotes = (schedule, time) => {
+  const { bufferedNotes } = schedule;
+  let count = 0;
 
-      amountOfOptions++;
-    }
-  }
+  for (let index = 0; index < schedule.bufferedNoteCount; index++) {
+    const bufferedNote = bufferedNotes[index];
+    if (bufferedNote.at + bufferedNote.duration <= time) continue;
 
-  const length = playable.length - amountOfOptions;
-
-  // Alternators pick 1 playable, based on the current period
-  if (alternate) {
-    const index = Math.round(period) % length;
-    const child = playable[index];
-    const childPeriod = (period - index) / length;
-
-    return schedulePart(
-      schedule,
-      instrumentPreset,
-      // FIXME: recursive types…
-      child,
-      at,
-      duration,
-      childPeriod,
-      from,
-      to,
-      velocity,
-      volume,
-      vibrato,
-      vibratoFrequency,
-      transpose,
-      root,
-    );
+    bufferedNotes[index] = bufferedNotes[count];
+    bufferedNotes[count++] = bufferedNote;
   }
 
-  // Chord play all playables on top of each other
-  if (chord) {
-    for (let index = 0; index < length; index++) {
-      const child = playable[index];
-
-      schedulePart(
-        schedule,
-        instrumentPreset,
-        child,
-        at,
-        duration,
-        period,
-        from,
-        to,
-        velocity,
-        volume,
-        vibrato,
-        vibratoFrequency,
-        transpose,
-        root,
-      );
+  schedule.bufferedNoteCount = count;
+};
+
+/**
+ * Plays the buffered notes that haven't been played yet, in order
+ * @param {Schedule} schedule
+ */
+const playBufferedNotes = (schedule) => {
+  const { bufferedNotes, bufferedNoteCount, soundingNotes } = schedule;
+
+  for (let index = 0; index < bufferedNoteCount; index++) {
+    const bufferedNote = bufferedNotes[index];
+    if (bufferedNote.played) continue;
+
+    // Find every note sounding when this one starts, including itself
+    soundingNotes.length = 0;
+    for (let otherIndex = 0; otherIndex < bufferedNoteCount; otherIndex++) {
+      const otherNote = bufferedNotes[otherIndex];
+      if (otherNote.at > bufferedNote.at) break;
+      if (otherIndex === index || otherNote.at + otherNote.duration > bufferedNote.at) {
+        soundingNotes.push(otherNote.note);
+      }
     }
 
-    return;
+    playBufferedNote(schedule, bufferedNote);
+    bufferedNote.played = true;
   }
+};
 
-  // Normal sequences subdivide time
-  const childDuration = duration / length;
+/**
+ * @param {Schedule} schedule
+ * @param {BufferedNote} bufferedNote
+ */
+const playBufferedNote = (schedule, bufferedNote) => {
+  const { numberToFrequency, noteOptions, soundingNotes, onNote } = schedule;
+  const { note, root, at, duration, slide, legatoNext, instrumentPreset, trackState } = bufferedNote;
+
+  const pitch = numberToFrequency(note, undefined, root, soundingNotes);
+
+  noteOptions.velocity = bufferedNote.velocity;
+  noteOptions.volume = bufferedNote.volume;
+  noteOptions.vibrato = bufferedNote.vibrato;
+  noteOptions.vibratoFrequency = bufferedNote.vibratoFrequency;
+  noteOptions.duration = duration;
+  noteOptions.bend = bufferedNote.bend;
+  noteOptions.articulation = bufferedNote.articulation;
+  noteOptions.slide = trackState.slide;
+
+  // Continue the previous note, if it slides into this one
+  let instrument = trackState.slidingInstrument;
+  let releaseAt = 0.0;
+
+  const canSlide =
+    instrument?.preset === instrumentPreset &&
+    instrument.startedPlayingAt === trackState.slidingSince &&
+    at >= trackState.slideStartsAt &&
+    at <= trackState.slideEndsAt + 0.001;
+
+  trackState.slidingInstrument = null;
+
+  if (canSlide) {
+    releaseAt = slideNote(instrument, pitch, Math.min(at, trackState.slideEndsAt), noteOptions);
+  } else {
+    instrument = findInstrument(schedule, trackState, instrumentPreset, at);
+    releaseAt = startNote(instrument, pitch, at, noteOptions);
+  }
 
-  for (let index = 0; index < length; index++) {
-    const child = playable[index];
-    const childAt = at + index * childDuration;
-
-    schedulePart(
-      schedule,
-      instrumentPreset,
-      child,
-      childAt,
-      childDuration,
-      period,
-      from,
-      to,
-      velocity,
-      volume,
-      vibrato,
-      vibratoFrequency,
-      transpose,
-      root,
-    );
+  trackState.previousInstrument = instrument;
+
+  if (slide || legatoNext) {
+    // Hold until the very end, so the next note can continue from this one
+    releaseNote(instrument, at + duration);
+    trackState.slidingInstrument = instrument;
+    trackState.slide = slide === true ? defaultSlide : slide || undefined;
+    trackState.slidingSince = instrument.startedPlayingAt;
+    trackState.slideStartsAt = at;
+    trackState.slideEndsAt = at + duration;
+  } else {
+    releaseNote(instrument, releaseAt);
+  }
+
+  if (onNote) {
+    const { noteHook } = schedule;
+    noteHook.track = bufferedNote.trackIndex;
+    noteHook.note = note;
+    noteHook.at = at;
+    noteHook.time = schedule.performanceOffset + at * 1000.0;
+    noteHook.duration = duration;
+    noteHook.velocity = noteOptions.velocity;
+    noteHook.volume = noteOptions.volume;
+    onNote(noteHook);
   }
 };
 
+// The glide `timeConstant` of `{ slide: true }`, in seconds
+const defaultSlide = 0.03;
+
 /**
- @param {Schedule} schedule
+ * Finds a free instrument in the track, preferring the one that played its previous note.
+ * Creates a new one if there are none. Once every track together has the preset's `maxPolyphony` instruments,
+ * it takes a free one from another track instead, or steals the one that started playing first.
+ * @param {Schedule} schedule
+ * @param {TrackState} trackState
+ * @param {InstrumentPreset} instrumentPreset
+ * @param {number} at
  */
-const playPendingNote = ({ connectInstrument, numberToFrequency, pendingNote, audioContext, instruments }) => {
-  const { instrumentPreset, note, root, at, duration, velocity, volume, vibrato, vibratoFrequency } = pendingNote;
-  pendingNote.pending = false;
-
-  // Find a free instrument
-  let instrument = null;
+const findInstrument = (schedule, trackState, instrumentPreset, at) => {
+  const { instruments, previousInstrument } = trackState;
   const instrumentSet =
     instruments.get(instrumentPreset) || instruments.set(instrumentPreset, new Set()).get(instrumentPreset);
 
-  for (const potentialInstrument of instrumentSet) {
-    if (potentialInstrument.willPlayUntil <= at) {
-      instrument = potentialInstrument;
-      break;
+  if (instrumentSet.has(previousInstrument) && previousInstrument.willPlayUntil <= at) return previousInstrument;
+
+  for (const instrument of instrumentSet) {
+    if (instrument.willPlayUntil <= at) return instrument;
+  }
+
+  // The polyphony limit is shared by every track playing the preset
+  let count = 0;
+  let free = null;
+  let oldest = null;
+
+  for (const otherState of schedule.trackStates) {
+    const otherSet = otherState.instruments.get(instrumentPreset);
+    if (!otherSet) continue;
+    count += otherSet.size;
+
+    for (const instrument of otherSet) {
+      if (!free && instrument.willPlayUntil <= at) free = instrument;
+      if (!oldest || instrument.startedPlayingAt < oldest.startedPlayingAt) oldest = instrument;
     }
   }
 
-  // If one wasn't found, create it
-  if (!instrument) {
-    instrument = createInstrument(instrumentPreset, audioContext);
+  if (!oldest || count < instrumentPreset.maxPolyphony) {
+    const instrument = createInstrument(instrumentPreset, schedule.audioContext);
     instrumentSet.add(instrument);
-    connectInstrument(instrument);
+    trackState.connectToBus(instrument);
+    return instrument;
+  }
+
+  const instrument = free ?? oldest;
+
+  // Move it over from the other track
+  if (!instrumentSet.has(instrument)) {
+    for (const otherState of schedule.trackStates) otherState.instruments.get(instrumentPreset)?.delete(instrument);
+    instrumentSet.add(instrument);
+    instrument.output.disconnect();
+    trackState.connectToBus(instrument);
+  }
+
+  return instrument;
+};
+
+/**
+ * Encodes the buffer as a 16-bit PCM WAV file
+ * @param {AudioBuffer} audioBuffer
+ */
+const encodeWav = (audioBuffer) => {
+  const { numberOfChannels, length, sampleRate } = audioBuffer;
+  const bytesPerSample = 2;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+
+  const wav = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(wav);
+
+  const writeString = (offset, string) => {
+    for (let index = 0; index < string.length; index++) view.setUint8(offset + index, string.charCodeAt(index));
+  };
+
+  // RIFF header
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, "WAVE");
+
+  // Format chunk
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+
+  // Data chunk, with the channels interleaved
+  writeString(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const channels = [];
+  for (let channel = 0; channel < numberOfChannels; channel++) channels.push(audioBuffer.getChannelData(channel));
+
+  let offset = 44;
+  for (let index = 0; index < length; index++) {
+    for (const channelData of channels) {
+      const sample = Math.max(-1.0, Math.min(1.0, channelData[index]));
+      view.setInt16(offset, sample < 0.0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
   }
 
-  // Play the note
-  playInstrument(
-    instrument,
-    numberToFrequency(note, undefined, root),
-    at,
-    duration,
-    velocity,
-    volume,
-    vibrato,
-    vibratoFrequency,
-  );
+  return wav;
 };
@@ -0,0 +1,783 @@
+import { degreeToNote, parseKey, parseNotes, transposeInKey } from "./notes.js";
+import { createTempoMap, positionToTime, timeToPosition } from "./tempo.js";
+
+/**
+ * @typedef {object} PlayableOptions
+ * @property {number=} velocity - how strongly the note is played (does not affect volume)
+ * @property {number=} volume - how loud the note is
+ * @property {number=} vibrato - amount of vibrato
+ * @property {number=} vibratoFrequency - frequency of vibrato
+ * @property {number=} transpose - added to the note's midi number, or moves it by scale degrees with `scale`
+ * @property {number=} root - used with `midiToJustFrequency`, defaults to the tonic of `scale`
+ * @property {string=} scale - e.g. `"D dorian"`: numbers become degrees of the scale, where 0 is the tonic
+ * @property {boolean=} alternate - sequentially pick just one entry, instead of subdividing time
+ * @property {boolean=} random - pick just one entry at random, instead of subdividing time
+ * @property {number=} probability - chance of each note playing, between 0 and 1
+ * @property {number=} timingJitter - moves the start of each note randomly, by up to this fraction of its duration
+ * @property {number=} velocityJitter - changes the velocity of each note randomly, by up to this fraction
+ * @property {number=} swing - delays every second subdivision of this array: 0.5 is straight, ~0.67 is triplet swing
+ * @property {string | Groove=} groove - moves and accents the subdivisions of this array, e.g. `"shuffle"`: see `grooves`
+ * @property {number=} seed - changes the random choices: the same seed always gives the same result
+ * @property {boolean | number=} slide - glide into the next note without a new attack (legato), optionally with a glide `timeConstant` in seconds
+ * @property {string=} articulation - e.g. `"staccato"`, `"tenuto"`, `"accent"`, `"marcato"` or `"pizzicato"`: see `articulations` in instrumentPresets.js
+ * @property {boolean=} legato - continue from the previous note without a new attack, if it ends right when this one starts
+ * @property {number[]=} bend - pitch curve over each note, in semitones: `[0, 2]` bends up by a whole tone
+ * @property {boolean=} chord - play all entries at the same time, instead of subdividing time
+ * @property {"up" | "down" | "updown" | "random"=} arp - play the notes of the chord one by one (not inherited)
+ * @property {number=} rate - arpeggio notes per cycle, defaults to fitting the whole pattern in once (not inherited)
+ * @property {number=} octaves - how many octaves the arpeggio climbs through (not inherited)
+ * @property {boolean=} voicing - move the notes of the chord by octaves, to land close to the previous chord of the track (not inherited)
+ * @property {number[]=} euclid - `[pulses, steps, rotation]`: spread the entries on a Euclidean rhythm, with rests between
+ * @property {number=} steps - play this many entries per cycle, continuing where the previous cycle left off (polymeter)
+ * @property {number=} weight - how much time this entry gets, relative to its siblings (not inherited)
+ * @typedef {(PlayableOptions | number | string | undefined | Playable)[]} Playable - strings are note names like `"C#4"`, or chord symbols like `"Am7"` or `"G/B"`
+ * @typedef {import("./tempo.js").TempoMap} TempoMap
+ */
+
+/**
+ * @typedef {object} Groove - a pattern that repeats over the subdivisions of an array
+ * @property {number[]} timing - how much each subdivision moves, as a fraction of its duration: positive is late
+ * @property {number[]} velocity - multiplies the velocity of notes starting in each subdivision
+ */
+
+/** @type {Record<string, Groove>} */
+export const grooves = {
+  /** triplet swing, with lighter offbeats */
+  shuffle: { timing: [0.0, 1 / 3], velocity: [1.0, 0.8] },
+  /** for 3 beats: a slightly late, lighter second and third beat */
+  waltz: { timing: [0.0, 0.04, 0.02], velocity: [1.0, 0.75, 0.8] },
+  /** for 3 beats: an early second beat and a late third one */
+  vienneseWaltz: { timing: [0.0, -0.12, 0.06], velocity: [1.0, 0.85, 0.75] },
+  /** for 8 subdivisions: accents the 3 + 1 + 2 + 2 rhythm, with a laid back fourth note */
+  habanera: {
+    timing: [0.0, 0.0, 0.0, 0.08, 0.0, 0.0, 0.0, 0.0],
+    velocity: [1.0, 0.6, 0.6, 0.85, 0.9, 0.6, 0.8, 0.6],
+  },
+};
+
+/**
+ * @typedef {object} NoteEvent
+ * @property {number} note
+ * @property {number} root
+ * @property {number} at
+ * @property {number} duration
+ * @property {number=} velocity
+ * @property {number=} volume
+ * @property {number=} vibrato
+ * @property {number=} vibratoFrequency
+ * @property {boolean | number=} slide
+ * @property {boolean=} legato
+ * @property {number[]=} bend
+ * @property {string=} articulation
+ */
+
+/**
+ * Turns a sequence into note events, without playing anything.
+ * Uses the same logic as `scheduleMusic`, so notes that started before `from` are left out,
+ * and notes that start before `to` will get their full duration.
+ * @param {Playable} sequence
+ * @param {object} options
+ * @param {number | TempoMap=} options.cycle - in seconds, or a tempo map
+ * @param {number=} options.from - in seconds
+ * @param {number=} options.to - in seconds, defaults to the end of the first cycle
+ * @param {number=} options.seed - for the random options
+ * @returns {NoteEvent[]}
+ */
+export const compileSequence = (sequence, options = {}) => {
+  const cycle = options.cycle ?? 1.0;
+  const tempo = typeof cycle === "number" ? createTempoMap(60.0 / cycle, 1.0) : cycle;
+  const from = options.from ?? 0.0;
+  const to = options.to ?? positionToTime(tempo, 1.0);
+
+  /** @type {NoteEvent[]} */
+  const events = [];
+  const sequencer = createSequencer(({ pendingNote }) => {
+    const { pending, legatoNext, ...event } = pendingNote;
+    const endsAt = positionToTime(tempo, event.at + event.duration);
+
+    event.at = positionToTime(tempo, event.at);
+    event.duration = endsAt - event.at;
+    events.push(event);
+  });
+  sequencer.seed = options.seed ?? 0;
+
+  scheduleSequence(sequencer, sequence, timeToPosition(tempo, from), timeToPosition(tempo, to));
+  return events;
+};
+
+/**
+ * @template {Sequencer} T
+ * @param {(sequencer: T) => void} playNote - called with each note once its duration is known
+ */
+export const createSequencer = (playNote) => ({
+  playNote,
+  seed: 0,
+  /** where the sequence stops, in cycles: notes still playing there are cut short */
+  until: Number.POSITIVE_INFINITY,
+  pendingNote: Object.seal({
+    pending: false,
+    note: 0,
+    root: 0,
+    at: 0,
+    duration: 0,
+    velocity: undefined,
+    volume: undefined,
+    vibrato: undefined,
+    vibratoFrequency: undefined,
+    slide: undefined,
+    legato: undefined,
+    /** whether the next note is `legato`, and continues this one */
+    legatoNext: false,
+    bend: undefined,
+    /** @type {string | undefined} */
+    articulation: undefined,
+  }),
+  /** @type {Frame[]} Inherited options for each level of nesting, reused between arrays */
+  frames: [createFrame(0)],
+  /** @type {number[]} the notes of the previous chord with `voicing`, which the scheduler keeps separately for each track */
+  previousChord: [],
+  /** @type {number[]} reused for collecting the notes of chords with `arp` or `voicing` */
+  chordNotes: [],
+  /** @type {number[]} reused for trying out voicings */
+  voicingNotes: [],
+});
+
+/**
+ * @param {number} depth
+ */
+const createFrame = (depth) =>
+  Object.seal({
+    depth,
+    velocity: undefined,
+    volume: undefined,
+    vibrato: undefined,
+    vibratoFrequency: undefined,
+    transpose: undefined,
+    root: undefined,
+    /** @type {string | undefined} */
+    scale: undefined,
+    seed: 0,
+    probability: 1.0,
+    timingJitter: 0.0,
+    velocityJitter: 0.0,
+    /** @type {Groove | undefined} */
+    groove: undefined,
+    /** where the array with the groove starts and ends, and how long its subdivisions are, in cycles */
+    grooveAt: 0.0,
+    grooveEnd: 0.0,
+    grooveStep: 0.0,
+    slide: undefined,
+    legato: undefined,
+    bend: undefined,
+    /** @type {string | undefined} */
+    articulation: undefined,
+  });
+
+/**
+ * @typedef {ReturnType<typeof createFrame>} Frame
+ */
+
+/**
+ * Finds every note of `sequence` that starts between `from` (inclusive) and `to` (exclusive),
+ * and passes them to the sequencer's `playNote`. Everything is measured in cycles, not seconds.
+ * @param {Sequencer} sequencer
+ * @param {Playable} sequence
+ * @param {number} from
+ * @param {number} to
+ * @param {number} until - where the sequence stops, like at the end of a section: nothing after it extends the notes
+ */
+export const scheduleSequence = (sequencer, sequence, from, to, until = Number.POSITIVE_INFINITY) => {
+  const firstCycle = Math.floor(from);
+  const cyclesToCheck = Math.max(1, Math.ceil(to) - firstCycle);
+
+  const rootFrame = sequencer.frames[0];
+  rootFrame.seed = sequencer.seed;
+  sequencer.until = until;
+
+  let checkedCycles = 0;
+
+  // Schedule the cycles within reach, and keep going if a note is pending
+  while (checkedCycles < cyclesToCheck || (sequencer.pendingNote.pending && firstCycle + checkedCycles < until)) {
+    const period = firstCycle + checkedCycles;
+
+    schedulePart(sequencer, sequence, period, 1.0, period, from, to, rootFrame);
+
+    checkedCycles++;
+    if (checkedCycles > cyclesToCheck + 64)
+      throw new Error(
+        "scheduleMusic tried to loop way too many times: either the cycle is too short or the tracks are messed up",
+      );
+  }
+
+  if (sequencer.pendingNote.pending) endPendingNote(sequencer);
+};
+
+/**
+ * @param {Sequencer} sequencer
+ */
+const endPendingNote = (sequencer) => {
+  const { pendingNote, until } = sequencer;
+  pendingNote.duration = Math.min(pendingNote.duration, until - pendingNote.at);
+
+  pendingNote.pending = false;
+  sequencer.playNote(sequencer);
+};
+
+/**
+ * @typedef {ReturnType<typeof createSequencer>} Sequencer
+ * @param {Sequencer} sequencer
+ * @param {Playable | number | undefined} playable
+ * @param {number} at
+ * @param {number} duration
+ * @param {number} period
+ * @param {number} from
+ * @param {number} to
+ * @param {Frame} parent - options inherited from the parent arrays
+ */
+const schedulePart = (sequencer, playable, at, duration, period, from, to, parent) => {
+  if (at >= to && !sequencer.pendingNote.pending) return;
+
+  if (typeof playable === "number") {
+    const key = parent.scale === undefined ? null : findKey(parent.scale);
+    const degree = playable + (parent.transpose ?? 0);
+    const note = key ? degreeToNote(key, degree) : degree;
+
+    return scheduleNote(sequencer, note, playable, at, duration, from, to, parent);
+  }
+
+  // Note names and chord symbols are played as they are, but transposed like numbers
+  if (typeof playable === "string") {
+    const key = parent.scale === undefined ? null : findKey(parent.scale);
+    const notes = findNotes(playable);
+
+    for (let index = 0; index < notes.length; index++) {
+      const note = key
+        ? transposeInKey(key, notes[index], parent.transpose ?? 0)
+        : notes[index] + (parent.transpose ?? 0);
+      scheduleNote(sequencer, note, notes[index], at, duration, from, to, parent);
+    }
+
+    return;
+  }
+
+  // Skip nulls, but also make them end pending notes
+  if (playable === null) {
+    if (sequencer.pendingNote.pending) endPendingNote(sequencer);
+    return;
+  }
+
+  // If extender, extend pending note
+  if (playable === undefined) {
+    if (sequencer.pendingNote.pending) {
+      sequencer.pendingNote.duration += applyGroove(parent, at + duration) - applyGroove(parent, at);
+    }
+    return;
+  }
+
+  // Skip unknowns
+  if (!Array.isArray(playable)) return;
+
+  // Merge options into this level's frame
+  const depth = parent.depth + 1;
+  if (depth === sequencer.frames.length) sequencer.frames.push(createFrame(depth));
+
+  const frame = sequencer.frames[depth];
+  frame.velocity = parent.velocity;
+  frame.volume = parent.volume;
+  frame.vibrato = parent.vibrato;
+  frame.vibratoFrequency = parent.vibratoFrequency;
+  frame.transpose = parent.transpose;
+  frame.root = parent.root;
+  frame.scale = parent.scale;
+  frame.seed = parent.seed;
+  frame.probability = parent.probability;
+  frame.timingJitter = parent.timingJitter;
+  frame.velocityJitter = parent.velocityJitter;
+  frame.groove = parent.groove;
+  frame.grooveAt = parent.grooveAt;
+  frame.grooveEnd = parent.grooveEnd;
+  frame.grooveStep = parent.grooveStep;
+  frame.slide = parent.slide;
+  frame.legato = parent.legato;
+  frame.bend = parent.bend;
+  frame.articulation = parent.articulation;
+
+  let amountOfOptions = 0;
+  let groove = undefined;
+  let alternate = false;
+  let randomChoice = false;
+  let chord = false;
+  let arp = undefined;
+  let rate = 0.0;
+  let octaves = 1;
+  let voicing = false;
+  let euclid = null;
+  let steps = 0;
+
+  for (let index = 0; index < playable.length; index++) {
+    const child = playable[index];
+
+    if (isOptions(child)) {
+      frame.velocity = child.velocity ?? frame.velocity;
+      frame.volume = child.volume ?? frame.volume;
+      frame.vibrato = child.vibrato ?? frame.vibrato;
+      frame.vibratoFrequency = child.vibratoFrequency ?? frame.vibratoFrequency;
+      frame.transpose = child.transpose ?? frame.transpose;
+      frame.root = child.root ?? frame.root;
+      frame.scale = child.scale ?? frame.scale;
+      frame.seed = child.seed ?? frame.seed;
+      frame.probability = child.probability ?? frame.probability;
+      frame.timingJitter = child.timingJitter ?? frame.timingJitter;
+      frame.velocityJitter = child.velocityJitter ?? frame.velocityJitter;
+      if (child.swing !== undefined) groove = findSwing(child.swing);
+      if (child.groove !== undefined) groove = findGroove(child.groove);
+      frame.slide = child.slide ?? frame.slide;
+      frame.legato = child.legato ?? frame.legato;
+      frame.bend = child.bend ?? frame.bend;
+      frame.articulation = child.articulation ?? frame.articulation;
+
+      alternate = alternate || child.alternate;
+      randomChoice = randomChoice || child.random;
+      chord = chord || child.chord;
+      arp = child.arp ?? arp;
+      rate = child.rate ?? rate;
+      octaves = child.octaves ?? octaves;
+      voicing = voicing || child.voicing;
+      euclid = child.euclid ?? euclid;
+      steps = child.steps ?? steps;
+
+      amountOfOptions++;
+    }
+  }
+
+  const length = playable.length - amountOfOptions;
+
+  // Grooves follow the subdivisions of the array they're set on
+  if (groove) {
+    frame.groove = groove;
+    frame.grooveAt = at;
+    frame.grooveEnd = at + duration;
+    frame.grooveStep = duration / Math.max(1, euclid ? euclid[1] : steps > 0 ? steps : length);
+  }
+
+  // Alternators pick 1 playable, based on the current period
+  if (alternate) {
+    const index = Math.round(period) % length;
+    const child = playable[index];
+    const childPeriod = (period - index) / length;
+
+    // FIXME: recursive types…
+    return schedulePart(sequencer, child, at, duration, childPeriod, from, to, frame);
+  }
+
+  // Random choices pick 1 playable, the same one every time this period is scheduled
+  if (randomChoice) {
+    const index = Math.floor(random(frame.seed, at, length) * length);
+    return schedulePart(sequencer, playable[index], at, duration, period, from, to, frame);
+  }
+
+  // Arpeggios and voiced chords work with the notes of the playables, instead of the playables themselves
+  if (arp || voicing) {
+    const { chordNotes } = sequencer;
+    chordNotes.length = 0;
+    for (let index = 0; index < length; index++) collectNotes(playable[index], frame, chordNotes);
+    if (chordNotes.length === 0) return;
+
+    chordNotes.sort(byPitch);
+
+    // Only chords that actually start now can affect the next ones
+    if (voicing && at >= from && at < to) voiceChord(sequencer, chordNotes);
+
+    if (!arp) {
+      for (let index = 0; index < chordNotes.length; index++) {
+        scheduleNote(sequencer, chordNotes[index], chordNotes[index], at, duration, from, to, frame);
+      }
+      return;
+    }
+
+    const patternLength = chordNotes.length * Math.max(1, octaves);
+    const arpSteps = rate > 0.0 ? Math.max(1, Math.round(duration * rate)) : patternLength;
+    const stepDuration = duration / arpSteps;
+
+    for (let step = 0; step < arpSteps; step++) {
+      const stepAt = at + step * stepDuration;
+      const index = arpIndex(arp, step, patternLength, frame.seed, stepAt);
+      const note = chordNotes[index % chordNotes.length] + Math.floor(index / chordNotes.length) * 12;
+
+      scheduleNote(sequencer, note, note, stepAt, stepDuration, from, to, frame);
+    }
+
+    return;
+  }
+
+  // Chord play all playables on top of each other
+  if (chord) {
+    for (let index = 0; index < length; index++) {
+      schedulePart(sequencer, playable[index], at, duration, period, from, to, frame);
+    }
+
+    return;
+  }
+
+  // Euclidean rhythms spread the playables on the pulses, and rest on the other steps
+  if (euclid) {
+    const pulses = euclid[0];
+    const euclidSteps = euclid[1];
+    const rotation = euclid[2] ?? 0;
+    const stepDuration = duration / euclidSteps;
+    let pulse = 0;
+
+    for (let step = 0; step < euclidSteps; step++) {
+      const rotatedStep = (((step + rotation) % euclidSteps) + euclidSteps) % euclidSteps;
+      const isPulse = (rotatedStep * pulses) % euclidSteps < pulses;
+      const child = isPulse ? playable[pulse++ % length] : null;
+
+      schedulePart(sequencer, child, at + step * stepDuration, stepDuration, period, from, to, frame);
+    }
+
+    return;
+  }
+
+  // Polymeters play a fixed amount of steps per cycle, continuing from where the last cycle ended
+  if (steps > 0) {
+    const stepDuration = duration / steps;
+    const firstStep = Math.round(period) * steps;
+
+    for (let step = 0; step < steps; step++) {
+      const child = playable[(firstStep + step) % length];
+      schedulePart(sequencer, child, at + step * stepDuration, stepDuration, period, from, to, frame);
+    }
+
+    return;
+  }
+
+  // Normal sequences subdivide time, according to the weights of the playables
+  let totalWeight = 0.0;
+  for (let index = 0; index < length; index++) totalWeight += weightOf(playable[index]);
+
+  const childDuration = duration / totalWeight;
+  let elapsedWeight = 0.0;
+
+  for (let index = 0; index < length; index++) {
+    const child = playable[index];
+    const childAt = at + elapsedWeight * childDuration;
+    const weight = weightOf(child);
+    elapsedWeight += weight;
+
+    schedulePart(sequencer, child, childAt, childDuration * weight, period, from, to, frame);
+  }
+};
+
+/**
+ * Starts a note, and ends the pending one
+ * @param {Sequencer} sequencer
+ * @param {number} note - already transposed
+ * @param {number} salt - tells apart the random choices of different notes
+ * @param {number} at
+ * @param {number} duration
+ * @param {number} from
+ * @param {number} to
+ * @param {Frame} parent
+ */
+const scheduleNote = (sequencer, note, salt, at, duration, from, to, parent) => {
+  if (at < from) return;
+
+  // End pending note, if there is one
+  if (sequencer.pendingNote.pending) {
+    sequencer.pendingNote.legatoNext = !!parent.legato;
+    endPendingNote(sequencer);
+  }
+
+  // Start a new note if it's within reach
+  if (at >= to) return;
+
+  // Notes that don't pass the probability check are rests
+  if (parent.probability < 1.0 && random(parent.seed, at, salt) >= parent.probability) return;
+
+  // Move the note along with the groove
+  const start = applyGroove(parent, at);
+  const end = applyGroove(parent, at + duration);
+
+  // Humanise the start, but keep the end on the grid, and never start before `from`
+  let offset = 0.0;
+  if (parent.timingJitter > 0.0) {
+    offset = (random(parent.seed, at, 1) * 2.0 - 1.0) * parent.timingJitter * (end - start);
+  }
+  const noteAt = Math.max(start + offset, from);
+
+  let velocity = parent.velocity;
+  const accent = grooveVelocity(parent, at);
+  if (accent !== 1.0) velocity = (velocity ?? 1.0) * accent;
+  if (parent.velocityJitter > 0.0) {
+    const jitter = (random(parent.seed, at, 2) * 2.0 - 1.0) * parent.velocityJitter;
+    velocity = Math.max(0.0, (velocity ?? 1.0) * (1.0 + jitter));
+  }
+
+  sequencer.pendingNote.note = note;
+  sequencer.pendingNote.root = parent.root ?? (parent.scale === undefined ? 0 : findKey(parent.scale).tonic);
+  sequencer.pendingNote.at = noteAt;
+  sequencer.pendingNote.duration = end - noteAt;
+  sequencer.pendingNote.velocity = velocity;
+  sequencer.pendingNote.volume = parent.volume;
+  sequencer.pendingNote.vibrato = parent.vibrato;
+  sequencer.pendingNote.vibratoFrequency = parent.vibratoFrequency;
+  sequencer.pendingNote.slide = parent.slide;
+  sequencer.pendingNote.legato = parent.legato;
+  sequencer.pendingNote.legatoNext = false;
+  sequencer.pendingNote.bend = parent.bend;
+  sequencer.pendingNote.articulation = parent.articulation;
+
+  sequencer.pendingNote.pending = true;
+};
+
+/**
+ * Adds the notes of a number or a string to `notes`, transposed. Other playables are skipped.
+ * @param {Playable | number | string | undefined} playable
+ * @param {Frame} frame
+ * @param {number[]} notes
+ */
+const collectNotes = (playable, frame, notes) => {
+  const key = frame.scale === undefined ? null : findKey(frame.scale);
+  const transpose = frame.transpose ?? 0;
+
+  if (typeof playable === "number") {
+    notes.push(key ? degreeToNote(key, playable + transpose) : playable + transpose);
+  } else if (typeof playable === "string") {
+    for (const note of findNotes(playable)) notes.push(key ? transposeInKey(key, note, transpose) : note + transpose);
+  }
+};
+
+/**
+ * Picks the inversion of `notes` closest to the previous chord, and remembers it for the next one
+ * @param {Sequencer} sequencer
+ * @param {number[]} notes - sorted from low to high, modified in place
+ */
+const voiceChord = (sequencer, notes) => {
+  const { previousChord, voicingNotes } = sequencer;
+
+  if (previousChord.length > 0) {
+    let bestInversion = 0;
+    let bestShift = 0;
+    let bestDistance = Number.POSITIVE_INFINITY;
+
+    for (let inversion = 0; inversion < notes.length; inversion++) {
+      // Move the lowest notes up an octave
+      voicingNotes.length = 0;
+      for (let index = 0; index < notes.length; index++) {
+        voicingNotes.push(notes[(index + inversion) % notes.length] + (index + inversion >= notes.length ? 12 : 0));
+      }
+
+      // Try the octaves around the previous chord
+      const centerShift = Math.round((average(previousChord) - average(voicingNotes)) / 12);
+      for (let shift = centerShift - 1; shift <= centerShift + 1; shift++) {
+        const distance = voicingDistance(voicingNotes, shift * 12, previousChord);
+
+        if (distance < bestDistance) {
+          bestInversion = inversion;
+          bestShift = shift;
+          bestDistance = distance;
+        }
+      }
+    }
+
+    voicingNotes.length = 0;
+    for (let index = 0; index < notes.length; index++) {
+      const inverted = index + bestInversion;
+      voicingNotes.push(notes[inverted % notes.length] + (inverted >= notes.length ? 12 : 0) + bestShift * 12);
+    }
+    for (let index = 0; index < notes.length; index++) notes[index] = voicingNotes[index];
+  }
+
+  previousChord.length = 0;
+  for (const note of notes) previousChord.push(note);
+};
+
+/**
+ * How far each note is from the closest note of the previous chord, in total
+ * @param {number[]} notes
+ * @param {number} shift
+ * @param {number[]} previousChord
+ */
+const voicingDistance = (notes, shift, previousChord) => {
+  let total = 0;
+
+  for (const note of notes) {
+    let closest = Number.POSITIVE_INFINITY;
+    for (const previousNote of previousChord) closest = Math.min(closest, Math.abs(note + shift - previousNote));
+    total += closest;
+  }
+
+  return total;
+};
+
+/**
+ * @param {number[]} notes
+ */
+const average = (notes) => {
+  let sum = 0;
+  for (const note of notes) sum += note;
+  return sum / notes.length;
+};
+
+/**
+ * Which note of the arpeggio pattern plays on `step`: indexes past the chord's notes are in higher octaves
+ * @param {string} arp
+ * @param {number} step
+ * @param {number} patternLength
+ * @param {number} seed
+ * @param {number} at
+ */
+const arpIndex = (arp, step, patternLength, seed, at) => {
+  switch (arp) {
+    case "down":
+      return patternLength - 1 - (step % patternLength);
+    case "updown": {
+      const period = Math.max(1, patternLength * 2 - 2);
+      const position = step % period;
+      return position < patternLength ? position : period - position;
+    }
+    case "random":
+      return Math.floor(random(seed, at, 3) * patternLength);
+    case "up":
+      return step % patternLength;
+    default:
+      throw new Error(`Unknown arp "${arp}": use "up", "down", "updown" or "random"`);
+  }
+};
+
+/**
+ * @param {number} a
+ * @param {number} b
+ */
+const byPitch = (a, b) => a - b;
+
+/**
+ * Moves a position according to the frame's groove: the start of each subdivision moves by its `timing`,
+ * and positions inside the subdivision move along with it
+ * @param {Frame} frame
+ * @param {number} position - in cycles
+ */
+const applyGroove = (frame, position) => {
+  const { groove, grooveAt, grooveEnd, grooveStep } = frame;
+  if (!groove || position <= grooveAt || position >= grooveEnd) return position;
+
+  const { timing } = groove;
+  const step = Math.floor((position - grooveAt) / grooveStep + 1e-9);
+  const stepAt = grooveAt + (step + timing[step % timing.length]) * grooveStep;
+  const nextAt = grooveAt + (step + 1) * grooveStep;
+  const movedNextAt = nextAt >= grooveEnd - 1e-9 ? grooveEnd : nextAt + timing[(step + 1) % timing.length] * grooveStep;
+
+  const progress = (position - (grooveAt + step * grooveStep)) / grooveStep;
+  return stepAt + (movedNextAt - stepAt) * progress;
+};
+
+/**
+ * The velocity multiplier of the groove's subdivision at `position`
+ * @param {Frame} frame
+ * @param {number} position - in cycles
+ */
+const grooveVelocity = (frame, position) => {
+  const { groove, grooveAt, grooveEnd, grooveStep } = frame;
+  if (!groove || position < grooveAt || position >= grooveEnd) return 1.0;
+
+  const step = Math.floor((position - grooveAt) / grooveStep + 1e-9);
+  return groove.velocity[step % groove.velocity.length] ?? 1.0;
+};
+
+/**
+ * @param {string | Groove} groove
+ */
+const findGroove = (groove) => {
+  if (typeof groove !== "string") return groove;
+
+  const found = grooves[groove];
+  if (!found) throw new Error(`Unknown groove "${groove}": see \`grooves\` in sequence.js`);
+  return found;
+};
+
+/** @type {Map<number, Groove>} */
+const swings = new Map();
+
+/**
+ * Swing is a groove that delays every second subdivision
+ * @param {number} swing
+ */
+const findSwing = (swing) => {
+  let groove = swings.get(swing);
+  if (!groove) {
+    groove = { timing: [0.0, swing * 2.0 - 1.0], velocity: [1.0, 1.0] };
+    swings.set(swing, groove);
+  }
+  return groove;
+};
+
+/** @type {Map<string, number[]>} */
+const parsedNotes = new Map();
+
+/**
+ * Parses note names and chord symbols only once
+ * @param {string} text
+ */
+const findNotes = (text) => {
+  let notes = parsedNotes.get(text);
+  if (!notes) {
+    notes = parseNotes(text);
+    parsedNotes.set(text, notes);
+  }
+  return notes;
+};
+
+/** @type {Map<string, import("./notes.js").Key>} */
+const parsedKeys = new Map();
+
+/**
+ * Parses scales only once
+ * @param {string} text
+ */
+const findKey = (text) => {
+  let key = parsedKeys.get(text);
+  if (!key) {
+    key = parseKey(text);
+    parsedKeys.set(text, key);
+  }
+  return key;
+};
+
+/**
+ * Deterministic random number between 0 and 1, so rescheduling or rendering the same cycle gives the same result
+ * @param {number} seed
+ * @param {number} position - in cycles
+ * @param {number} salt - tells apart choices made at the same position
+ */
+const random = (seed, position, salt) => {
+  let hash = seed ^ Math.imul(Math.round(position * 65536.0), 0x9e3779b1) ^ Math.imul(salt * 977, 0x85ebca77);
+  hash = Math.imul(hash ^ (hash >>> 16), 0x7feb352d);
+  hash = Math.imul(hash ^ (hash >>> 15), 0x846ca68b);
+  hash ^= hash >>> 16;
+  return (hash >>> 0) / 4294967296.0;
+};
+
+/**
+ * Whether `child` is an options object, instead of something playable
+ * @param {any} child
+ * @returns {child is PlayableOptions}
+ */
+export const isOptions = (child) =>
+  child && typeof child === "object" && !Array.isArray(child) && !ArrayBuffer.isView(child);
+
+/**
+ * Finds the `weight` option of a playable: only arrays can have one
+ * @param {Playable | number | string | null | undefined} playable
+ */
+export const weightOf = (playable) => {
+  if (!Array.isArray(playable)) return 1.0;
+
+  // Options are at the end, and later ones override earlier ones
+  for (let index = playable.length - 1; index >= 0; index--) {
+    const child = playable[index];
+    if (!isOptions(child)) break;
+    if (child.weight !== undefined) return child.weight;
+  }
+
+  return 1.0;
+};
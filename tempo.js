@@ -0,0 +1,111 @@
+/**
+ * @typedef {object} TempoSegment
+ * @property {number} position - where the segment starts, in cycles
+ * @property {number} at - where the segment starts, in seconds
+ * @property {number} bpm - tempo at the start of the segment
+ * @property {number} endBpm - tempo at the end of the ramp, and after it
+ * @property {number} ramp - how long it takes to go from `bpm` to `endBpm`, in cycles
+ */
+
+/**
+ * Creates a tempo map, for converting between seconds and musical time (cycles).
+ * @param {number} bpm
+ * @param {number} beatsPerCycle
+ */
+export const createTempoMap = (bpm = 120.0, beatsPerCycle = 4.0) => ({
+  beatsPerCycle,
+  /** @type {TempoSegment[]} */
+  segments: [{ position: 0.0, at: 0.0, bpm, endBpm: bpm, ramp: 0.0 }],
+});
+
+/**
+ * @typedef {ReturnType<typeof createTempoMap>} TempoMap
+ */
+
+/**
+ * Changes the tempo at `position`, replacing any tempo changes after it.
+ * With a `ramp` the tempo changes gradually (accelerando/ritardando), otherwise instantly.
+ * @param {TempoMap} tempoMap
+ * @param {number} bpm
+ * @param {number} position - in cycles
+ * @param {number} ramp - in cycles
+ */
+export const setTempo = (tempoMap, bpm, position = 0.0, ramp = 0.0) => {
+  const { segments } = tempoMap;
+  const startBpm = bpmAt(tempoMap, position);
+  const at = positionToTime(tempoMap, position);
+
+  while (segments.length > 0 && segments[segments.length - 1].position >= position) segments.pop();
+
+  segments.push({ position, at, bpm: ramp > 0.0 ? startBpm : bpm, endBpm: bpm, ramp });
+};
+
+/**
+ * @param {TempoMap} tempoMap
+ * @param {number} position - in cycles
+ */
+export const bpmAt = (tempoMap, position) => {
+  const segment = findSegment(tempoMap.segments, "position", position);
+  const progress = segment.ramp > 0.0 ? Math.min(1.0, (position - segment.position) / segment.ramp) : 1.0;
+  return segment.bpm + (segment.endBpm - segment.bpm) * progress;
+};
+
+/**
+ * @param {TempoMap} tempoMap
+ * @param {number} position - in cycles
+ * @returns {number} seconds
+ */
+export const positionToTime = (tempoMap, position) => {
+  const segment = findSegment(tempoMap.segments, "position", position);
+  const { ramp } = segment;
+  const startRate = toRate(tempoMap, segment.bpm);
+  const endRate = toRate(tempoMap, segment.endBpm);
+  const elapsed = position - segment.position;
+
+  if (elapsed <= ramp) return segment.at + rampTime(startRate, endRate, ramp, elapsed);
+  return segment.at + rampTime(startRate, endRate, ramp, ramp) + (elapsed - ramp) / endRate;
+};
+
+/**
+ * @param {TempoMap} tempoMap
+ * @param {number} time - in seconds
+ * @returns {number} cycles
+ */
+export const timeToPosition = (tempoMap, time) => {
+  const segment = findSegment(tempoMap.segments, "at", time);
+  const { ramp } = segment;
+  const startRate = toRate(tempoMap, segment.bpm);
+  const endRate = toRate(tempoMap, segment.endBpm);
+  const elapsed = time - segment.at;
+  const rampDuration = rampTime(startRate, endRate, ramp, ramp);
+
+  if (elapsed > rampDuration) return segment.position + ramp + (elapsed - rampDuration) * endRate;
+  if (startRate === endRate) return segment.position + elapsed * startRate;
+
+  // Inverse of `rampTime`
+  const slope = (endRate - startRate) / ramp;
+  return segment.position + (startRate * Math.exp(elapsed * slope) - startRate) / slope;
+};
+
+// Cycles per second
+const toRate = ({ beatsPerCycle }, bpm) => bpm / 60.0 / beatsPerCycle;
+
+// Seconds taken by the first `elapsed` cycles of a ramp where the rate changes linearly per cycle
+const rampTime = (startRate, endRate, ramp, elapsed) => {
+  if (startRate === endRate || ramp <= 0.0) return elapsed / startRate;
+
+  const slope = (endRate - startRate) / ramp;
+  return Math.log((startRate + slope * elapsed) / startRate) / slope;
+};
+
+/**
+ * @param {TempoSegment[]} segments
+ * @param {"position" | "at"} key
+ * @param {number} value
+ */
+const findSegment = (segments, key, value) => {
+  for (let index = segments.length - 1; index > 0; index--) {
+    if (segments[index][key] <= value) return segments[index];
+  }
+  return segments[0];
+};
@@ -0,0 +1,254 @@
+import { positionToTime } from "./tempo.js";
+
+/**
+ * @typedef {import("./tempo.js").TempoMap} TempoMap
+ * @typedef {[number, number][]} Breakpoints - `[position, value]` pairs, sorted by position (in cycles)
+ */
+
+/**
+ * @typedef {object} Automation - values that change over time, ramping from one breakpoint to the next
+ * @property {Breakpoints=} volume - gain of the whole track
+ * @property {Breakpoints=} pan - from -1 (left) to 1 (right)
+ * @property {Breakpoints=} filter - cutoff frequency of a low-pass filter, in Hz
+ * @property {number=} loop - repeats the breakpoints every `loop` cycles, instead of holding the last values
+ */
+
+/**
+ * @typedef {(audioContext: BaseAudioContext) => AudioNode} CreateEffect - creates an insert effect node
+ */
+
+/**
+ * @typedef {object} TrackOptions - the optional third item of a track.
+ * Values that are left out aren't touched, so you can also set them yourself in `connectInstrument`.
+ * @property {number=} volume - gain of the whole track
+ * @property {number=} pan - from -1 (left) to 1 (right)
+ * @property {number=} reverb - gain of the `reverbSend` output
+ * @property {CreateEffect[]=} effects - insert effects, chained in order before everything else
+ * @property {Automation=} automation
+ */
+
+/**
+ * Creates the nodes a track's instruments play through:
+ * insert effects, a low-pass filter, automated volume, volume, and panning.
+ * Connect instruments to `input`, and `output` (and optionally `reverbSend`) to your audio system.
+ * @param {BaseAudioContext} audioContext
+ */
+export const createTrackBus = (audioContext) => {
+  const input = new GainNode(audioContext, { gain: 1.0 });
+  const filter = new BiquadFilterNode(audioContext, {
+    type: "lowpass",
+    frequency: audioContext.sampleRate / 2.0,
+    Q: 0.0,
+  });
+  const gain = new GainNode(audioContext, { gain: 1.0 });
+  const fader = new GainNode(audioContext, { gain: 1.0 });
+  const panner = new StereoPannerNode(audioContext, { pan: 0.0 });
+  const reverbSend = new GainNode(audioContext, { gain: 0.0 });
+
+  input.connect(filter);
+  filter.connect(gain);
+  gain.connect(fader);
+  fader.connect(panner);
+  panner.connect(reverbSend);
+
+  return {
+    audioContext,
+    input,
+    /** @type {AudioNode[]} */
+    effects: [],
+    filter,
+    /** automated volume */
+    gain,
+    /** static volume */
+    fader,
+    panner,
+    output: panner,
+    /** post-fader send, for connecting to a shared reverb */
+    reverbSend,
+    /** @type {TrackOptions | null} the options the bus was last configured with */
+    options: null,
+    // Position of the latest scheduled breakpoint in each lane
+    automatedUpTo: Object.seal({
+      volume: Number.NEGATIVE_INFINITY,
+      pan: Number.NEGATIVE_INFINITY,
+      filter: Number.NEGATIVE_INFINITY,
+    }),
+  };
+};
+
+/**
+ * @typedef {ReturnType<typeof createTrackBus>} TrackBus
+ */
+
+/**
+ * Applies the track's static options, if they've changed since last time
+ * @param {TrackBus} bus
+ * @param {TrackOptions} options
+ * @param {number} at - in seconds
+ */
+export const configureTrackBus = (bus, options, at) => {
+  const previous = bus.options ?? noOptions;
+  if (options === previous) return;
+
+  const { volume, pan, reverb, effects } = options;
+
+  if (volume !== undefined && volume !== previous.volume) bus.fader.gain.setTargetAtTime(volume, at, smoothing);
+  if (reverb !== undefined && reverb !== previous.reverb) bus.reverbSend.gain.setTargetAtTime(reverb, at, smoothing);
+  if (pan !== undefined && pan !== previous.pan && !options.automation?.pan) {
+    bus.panner.pan.setTargetAtTime(pan, at, smoothing);
+  }
+
+  if (!isSameEffects(effects, previous.effects)) {
+    const { audioContext, input, filter } = bus;
+
+    input.disconnect();
+    for (const effect of bus.effects) effect.disconnect();
+
+    bus.effects = effects ? effects.map((createEffect) => createEffect(audioContext)) : [];
+
+    let previousNode = input;
+    for (const effect of bus.effects) previousNode = previousNode.connect(effect);
+    previousNode.connect(filter);
+  }
+
+  bus.options = options;
+};
+
+/** @type {TrackOptions} */
+const noOptions = Object.freeze({});
+
+/**
+ * Compares the effect creators one by one, so tracks written inline don't recreate their effects every time
+ * @param {CreateEffect[] | undefined} effects
+ * @param {CreateEffect[] | undefined} otherEffects
+ */
+const isSameEffects = (effects = [], otherEffects = []) => {
+  if (effects.length !== otherEffects.length) return false;
+
+  for (let index = 0; index < effects.length; index++) {
+    if (effects[index] !== otherEffects[index]) return false;
+  }
+  return true;
+};
+
+// `timeConstant` for changes in static options, to avoid clicks
+const smoothing = 0.013;
+
+/**
+ * Schedules the `automation` breakpoints between `from` (inclusive) and `to` (exclusive), in cycles
+ * @param {TrackBus} bus
+ * @param {Automation} automation
+ * @param {number} from
+ * @param {number} to
+ * @param {TempoMap} tempo
+ * @param {number} offset - where position 0 of the automation is, in cycles
+ */
+export const automateTrackBus = (bus, automation, from, to, tempo, offset = 0.0) => {
+  const { volume, pan, filter, loop = 0.0 } = automation;
+
+  if (volume) automateLane(bus, "volume", bus.gain.gain, volume, loop, from, to, tempo, offset);
+  if (pan) automateLane(bus, "pan", bus.panner.pan, pan, loop, from, to, tempo, offset);
+  if (filter) automateLane(bus, "filter", bus.filter.frequency, filter, loop, from, to, tempo, offset);
+};
+
+/**
+ * Cancels automation that hasn't happened yet, so it can be scheduled again from `at`
+ * @param {TrackBus} bus
+ * @param {number} at - in seconds
+ */
+export const cancelTrackBusAutomation = (bus, at) => {
+  const { gain, filter, panner, automatedUpTo } = bus;
+
+  gain.gain.cancelScheduledValues(at);
+  filter.frequency.cancelScheduledValues(at);
+  panner.pan.cancelScheduledValues(at);
+
+  automatedUpTo.volume = Number.NEGATIVE_INFINITY;
+  automatedUpTo.pan = Number.NEGATIVE_INFINITY;
+  automatedUpTo.filter = Number.NEGATIVE_INFINITY;
+};
+
+/**
+ * @param {TrackBus} bus
+ */
+export const destroyTrackBus = ({ input, effects, filter, gain, fader, panner, reverbSend }) => {
+  input.disconnect();
+  for (const effect of effects) effect.disconnect();
+  filter.disconnect();
+  gain.disconnect();
+  fader.disconnect();
+  panner.disconnect();
+  reverbSend.disconnect();
+};
+
+/**
+ * @param {TrackBus} bus
+ * @param {keyof TrackBus["automatedUpTo"]} lane
+ * @param {AudioParam} param
+ * @param {Breakpoints} breakpoints
+ * @param {number} loop
+ * @param {number} from
+ * @param {number} to
+ * @param {TempoMap} tempo
+ * @param {number} offset
+ */
+const automateLane = (bus, lane, param, breakpoints, loop, from, to, tempo, offset) => {
+  if (breakpoints.length === 0) return;
+
+  // Filter sweeps sound more even when ramped exponentially
+  const exponential = lane === "filter";
+
+  // Start from wherever the lane should be at the moment
+  if (bus.automatedUpTo[lane] === Number.NEGATIVE_INFINITY) {
+    param.setValueAtTime(valueAt(breakpoints, loop, from), positionToTime(tempo, from + offset));
+    bus.automatedUpTo[lane] = from;
+  }
+
+  const firstLoop = loop > 0.0 ? Math.floor(from / loop) - 1 : 0;
+  const lastLoop = loop > 0.0 ? Math.floor(to / loop) : 0;
+
+  for (let loopIndex = firstLoop; loopIndex <= lastLoop; loopIndex++) {
+    const loopOffset = loopIndex * loop;
+
+    for (const [breakpointPosition, value] of breakpoints) {
+      const position = loopOffset + breakpointPosition;
+      if (position < from || position >= to || position < bus.automatedUpTo[lane]) continue;
+
+      const at = positionToTime(tempo, position + offset);
+
+      if (position === bus.automatedUpTo[lane]) {
+        // Jump, if there's already a breakpoint here
+        param.setValueAtTime(value, at);
+      } else if (exponential) {
+        param.exponentialRampToValueAtTime(Math.max(0.0001, value), at);
+      } else {
+        param.linearRampToValueAtTime(value, at);
+      }
+
+      bus.automatedUpTo[lane] = position;
+    }
+  }
+};
+
+/**
+ * Interpolates the value of the breakpoints at `position`
+ * @param {Breakpoints} breakpoints
+ * @param {number} loop
+ * @param {number} position
+ */
+const valueAt = (breakpoints, loop, position) => {
+  const localPosition = loop > 0.0 ? position - Math.floor(position / loop) * loop : position;
+  let previous = breakpoints[0];
+
+  if (localPosition <= previous[0]) return previous[1];
+
+  for (const breakpoint of breakpoints) {
+    if (breakpoint[0] >= localPosition) {
+      const progress = (localPosition - previous[0]) / (breakpoint[0] - previous[0] || 1.0);
+      return previous[1] + (breakpoint[1] - previous[1]) * progress;
+    }
+    previous = breakpoint;
+  }
+
+  return previous[1];
+};
@@ -0,0 +1,238 @@
+import { parseNotes } from "./notes.js";
+import { isOptions, weightOf } from "./sequence.js";
+
+/**
+ * @typedef {import("./sequence.js").Playable} Playable
+ * @typedef {import("./sequence.js").PlayableOptions} PlayableOptions
+ * @typedef {Playable | number | string | null | undefined} Entry
+ */
+
+/**
+ * Plays the entries of `playable` backwards. Extenders (`undefined`) stay after the note they extend,
+ * and the options objects are kept as they are. Nested arrays aren't reversed: see `retrograde` for that.
+ * @param {Playable} playable
+ * @returns {Playable}
+ */
+export const reverse = (playable) => {
+  const [entries, options] = split(playable);
+  const reversed = [];
+
+  // Each note and its extenders move together
+  let end = entries.length;
+  for (let start = entries.length - 1; start >= 0; start--) {
+    if (entries[start] === undefined && start > 0) continue;
+
+    for (let index = start; index < end; index++) reversed.push(entries[index]);
+    end = start;
+  }
+
+  return [...reversed, ...options];
+};
+
+/**
+ * Reverses `playable` and every array inside it
+ * @param {Playable} playable
+ * @returns {Playable}
+ */
+export const retrograde = (playable) =>
+  reverse(mapEntries(playable, (entry) => (Array.isArray(entry) ? retrograde(entry) : entry)));
+
+/**
+ * Moves the entries of `playable` left by `steps`, wrapping around: `rotate([0, 2, 4], 1)` is `[2, 4, 0]`.
+ * Negative steps move right.
+ * @param {Playable} playable
+ * @param {number} steps
+ * @returns {Playable}
+ */
+export const rotate = (playable, steps) => {
+  const [entries, options] = split(playable);
+  if (entries.length === 0) return [...options];
+
+  const start = ((Math.round(steps) % entries.length) + entries.length) % entries.length;
+  return [...entries.slice(start), ...entries.slice(0, start), ...options];
+};
+
+/**
+ * Mirrors every note around `axis`: notes above it go below it, and the other way around.
+ * Numbers are mirrored before `transpose`, so with a `scale` option they're mirrored by scale degrees.
+ * Note names become numbers, and chord symbols become `chord` arrays of numbers.
+ * @param {Playable} playable
+ * @param {number} axis - a note number
+ * @returns {Playable}
+ */
+export const invert = (playable, axis = 0) =>
+  mapEntries(playable, (entry) => {
+    if (typeof entry === "number") return axis * 2 - entry;
+    if (Array.isArray(entry)) return invert(entry, axis);
+    if (typeof entry !== "string") return entry;
+
+    const notes = parseNotes(entry).map((note) => axis * 2 - note);
+    return notes.length === 1 ? notes[0] : [...notes, { chord: true }];
+  });
+
+/**
+ * Plays `playable` `times` times per cycle
+ * @param {Playable} playable
+ * @param {number} times - a whole number
+ * @returns {Playable}
+ */
+export const fast = (playable, times) => {
+  checkFactor(times);
+  return times === 1 ? playable : Array.from({ length: times }, () => playable);
+};
+
+/**
+ * Spreads `playable` over `cycles` cycles, playing one part of it in each.
+ * Notes cut at the part boundaries continue into the next part with an extender.
+ * Chords and the other arrays that don't subdivide time can't be split, so only their last note continues.
+ * @param {Playable} playable
+ * @param {number} cycles - a whole number
+ * @returns {Playable}
+ */
+export const slow = (playable, cycles) => {
+  checkFactor(cycles);
+  if (cycles === 1) return playable;
+
+  const parts = [];
+  for (let index = 0; index < cycles; index++) parts.push(slice(playable, index / cycles, (index + 1) / cycles));
+  return [...parts, { alternate: true }];
+};
+
+/**
+ * Makes every note last `factor` times longer, so `playable` takes `factor` cycles: the same as `slow`
+ * @param {Playable} playable
+ * @param {number} factor - a whole number
+ * @returns {Playable}
+ */
+export const augment = (playable, factor = 2) => slow(playable, factor);
+
+/**
+ * Makes every note `factor` times shorter, so `playable` fits in the start of the cycle, and rests for the rest of it.
+ * Unlike `fast`, it doesn't repeat.
+ * @param {Playable} playable
+ * @param {number} factor - a whole number
+ * @returns {Playable}
+ */
+export const diminish = (playable, factor = 2) => {
+  checkFactor(factor);
+  if (factor === 1) return playable;
+
+  return [playable, ...Array.from({ length: factor - 1 }, () => null)];
+};
+
+/**
+ * Plays `transform(playable)` instead of `playable` every `cycles` cycles, starting from the first one
+ * @param {Playable} playable
+ * @param {number} cycles - a whole number
+ * @param {(playable: Playable) => Playable} transform
+ * @returns {Playable}
+ */
+export const every = (playable, cycles, transform) => {
+  checkFactor(cycles);
+  const transformed = transform(playable);
+  if (cycles === 1) return transformed;
+
+  return [transformed, ...Array.from({ length: cycles - 1 }, () => playable), { alternate: true }];
+};
+
+/**
+ * @param {number} factor
+ */
+const checkFactor = (factor) => {
+  if (!Number.isInteger(factor) || factor < 1) throw new Error(`Expected a positive whole number, got ${factor}`);
+};
+
+/**
+ * Separates the entries of `playable` from its options objects
+ * @param {Playable} playable
+ * @returns {[Entry[], PlayableOptions[]]}
+ */
+const split = (playable) => {
+  if (!Array.isArray(playable)) throw new Error("Expected a sequence array");
+
+  /** @type {Entry[]} */
+  const entries = [];
+  /** @type {PlayableOptions[]} */
+  const options = [];
+
+  for (const child of playable) {
+    if (isOptions(child)) options.push(child);
+    else entries.push(child);
+  }
+
+  return [entries, options];
+};
+
+/**
+ * A copy of `playable` with `map` applied to each entry, keeping the options objects
+ * @param {Playable} playable
+ * @param {(entry: Entry) => Entry} map
+ * @returns {Playable}
+ */
+const mapEntries = (playable, map) => {
+  const [entries, options] = split(playable);
+  return [...entries.map(map), ...options];
+};
+
+/**
+ * The part of `entry` between `start` and `end`, which are fractions of its duration
+ * @param {Entry} entry
+ * @param {number} start
+ * @param {number} end
+ * @returns {Entry}
+ */
+const slice = (entry, start, end) => {
+  // Whatever plays at the start of an entry is continued by an extender
+  if (!subdividesTime(entry)) return start === 0.0 || entry === null ? entry : undefined;
+
+  const [entries, options] = split(entry);
+  const totalWeight = entries.reduce((total, child) => total + weightOf(child), 0.0);
+  const parts = [];
+  const weights = [];
+  let childStart = 0.0;
+
+  for (const child of entries) {
+    const childEnd = childStart + weightOf(child) / totalWeight;
+    const from = Math.max(start, childStart);
+    const to = Math.min(end, childEnd);
+
+    if (to - from > 1e-9) {
+      parts.push(
+        slice(child, (from - childStart) / (childEnd - childStart), (to - childStart) / (childEnd - childStart)),
+      );
+      // Rounded, to hide floating point errors from people reading the result
+      weights.push(Math.round((to - from) * totalWeight * 1e9) / 1e9);
+    }
+
+    childStart = childEnd;
+  }
+
+  // Weights only matter if they're different from each other
+  const sameWeights = weights.every((weight) => weight === weights[0]);
+  const sliced = parts.map((part, index) => {
+    if (sameWeights && (!Array.isArray(part) || weightOf(part) === 1.0)) return part;
+    if (sameWeights) return [...part, { weight: 1.0 }];
+    return Array.isArray(part) ? [...part, { weight: weights[index] }] : [part, { weight: weights[index] }];
+  });
+
+  // The weight belongs to the whole array, not its parts
+  for (const { weight, ...rest } of options) if (Object.keys(rest).length > 0) sliced.push(rest);
+  return sliced;
+};
+
+/**
+ * Whether `entry` is an array that subdivides time, so it can be sliced
+ * @param {Entry} entry
+ * @returns {entry is Playable}
+ */
+const subdividesTime = (entry) => {
+  if (!Array.isArray(entry)) return false;
+
+  for (const child of entry) {
+    if (!isOptions(child)) continue;
+    if (child.alternate || child.random || child.chord || child.arp || child.voicing || child.euclid || child.steps) {
+      return false;
+    }
+  }
+  return true;
+};
@@ -0,0 +1,341 @@
+import { midiToFrequency } from "./notes.js";
+
+/**
+ * @typedef {object} Scale - a scale in the same form as a Scala `.scl` file
+ * @property {string} description
+ * @property {number[]} cents - every degree after the first (which is always 0), in cents. The last one is the period, usually an octave (1200).
+ */
+
+/**
+ * @typedef {object} KeyboardMapping - which note numbers play which scale degrees, like a Scala `.kbm` file
+ * @property {number} size - how many keys before the mapping repeats; 0 maps every key to the next degree
+ * @property {number} middleNote - the note number where the first degree is mapped
+ * @property {number} referenceNote - the note number that plays `referenceFrequency`
+ * @property {number} referenceFrequency - in Hz
+ * @property {number} octaveDegree - the degree that each repetition of the mapping moves by; 0 means the scale's period
+ * @property {(number | null)[]} mapping - the degree of each key, or `null` if the key is unmapped
+ */
+
+/**
+ * Parses the contents of a Scala `.scl` file
+ * @param {string} text
+ * @returns {Scale}
+ */
+export const parseScala = (text) => {
+  // The description is allowed to be empty, so it's always the first line that isn't a comment
+  const [description, ...lines] = withoutComments(text);
+  if (lines.length === 0) throw new SyntaxError("Scala file needs a description and a number of notes");
+
+  const count = Number.parseInt(lines[0], 10);
+  if (!(count >= 0)) throw new SyntaxError(`Expected a number of notes, got "${lines[0]}"`);
+
+  const cents = [];
+  for (let index = 0; index < count; index++) {
+    const line = lines[index + 1];
+    if (line === undefined) throw new SyntaxError(`Expected ${count} notes, got ${index}`);
+    cents.push(parsePitch(line));
+  }
+
+  return { description, cents };
+};
+
+/**
+ * Parses the contents of a Scala `.kbm` file.
+ * Note numbers are MIDI numbers in the file, but are converted to this library's, where 0 is C4 (MIDI 60).
+ * @param {string} text
+ * @returns {KeyboardMapping}
+ */
+export const parseKeyboardMapping = (text) => {
+  const lines = withoutComments(text)
+    .filter((line) => line !== "")
+    .map((line) => line.split(/\s+/)[0]);
+  if (lines.length < 7) throw new SyntaxError("Keyboard mapping file needs at least 7 values");
+
+  const [size, , , middleNote, referenceNote, referenceFrequency, octaveDegree] = lines.map(Number);
+  if (lines.slice(0, 7).some((line) => Number.isNaN(Number(line)))) {
+    throw new SyntaxError(`Invalid keyboard mapping header: ${lines.slice(0, 7).join(" ")}`);
+  }
+
+  const mapping = lines.slice(7, 7 + size).map((line) => {
+    if (line.toLowerCase() === "x") return null;
+
+    const degree = Number.parseInt(line, 10);
+    if (Number.isNaN(degree)) throw new SyntaxError(`Expected a scale degree or "x", got "${line}"`);
+    return degree;
+  });
+  while (mapping.length < size) mapping.push(null);
+
+  return {
+    size,
+    middleNote: middleNote - 60,
+    referenceNote: referenceNote - 60,
+    referenceFrequency,
+    octaveDegree,
+    mapping,
+  };
+};
+
+/**
+ * Creates a function that converts note numbers into frequencies in `scale`.
+ * It takes the same parameters as `midiToFrequency`, so it can be passed to the scheduler as `numberToFrequency`.
+ *
+ * Without a `keyboardMapping` each note number plays the next degree of the scale, starting from `root`.
+ * The `root` keeps its usual 12-TET frequency, like in `midiToJustFrequency`.
+ * With a mapping, `root` moves its `middleNote`, and `tuning` scales its `referenceFrequency` (440 keeps it as is).
+ * Fractional note numbers land between the degrees, and unmapped keys play the nearest mapped key below them.
+ * @param {Scale} scale
+ * @param {KeyboardMapping=} keyboardMapping
+ * @returns {(number?: number, tuning?: number, root?: number) => number}
+ */
+export const createTuning = (scale, keyboardMapping = undefined) => {
+  const { cents } = scale;
+  if (cents.length === 0) throw new Error("A scale needs at least 1 degree");
+
+  const degreeCount = cents.length;
+  const period = cents[degreeCount - 1];
+
+  // Cents of any degree, continuing up and down by periods
+  const degreeCents = (degree) => {
+    const periods = Math.floor(degree / degreeCount);
+    const index = degree - periods * degreeCount;
+    return periods * period + (index === 0 ? 0.0 : cents[index - 1]);
+  };
+
+  if (!keyboardMapping) {
+    return (number = 0, tuning = 440.0, root = 0) => {
+      const key = Math.floor(number);
+      const keyCents = mix(degreeCents(key - root), degreeCents(key - root + 1), number - key);
+      return midiToFrequency(root, tuning) * 2 ** (keyCents / 1200);
+    };
+  }
+
+  const { size, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping } = keyboardMapping;
+  const mappedPeriod = octaveDegree > 0 ? octaveDegree : degreeCount;
+
+  // Cents of any key, relative to the first degree of the scale
+  const keyCents = (key) => {
+    if (size === 0) return degreeCents(key);
+
+    for (let index = 0; index < size; index++) {
+      const repetitions = Math.floor((key - index) / size);
+      const degree = mapping[(((key - index) % size) + size) % size];
+      if (degree !== null) return degreeCents(degree + repetitions * mappedPeriod);
+    }
+
+    throw new Error("Keyboard mapping has no mapped keys");
+  };
+
+  return (number = 0, tuning = 440.0, root = 0) => {
+    const key = Math.floor(number - middleNote - root);
+    const fraction = number - middleNote - root - key;
+    const centsFromReference = mix(keyCents(key), keyCents(key + 1), fraction) - keyCents(referenceNote - middleNote);
+
+    return referenceFrequency * (tuning / 440.0) * 2 ** (centsFromReference / 1200);
+  };
+};
+
+/**
+ * Creates a function that retunes every chord to just intonation while it plays.
+ * The scheduler passes it the notes sounding together with each note (from `chord` groups and other tracks),
+ * the one that makes the simplest ratios with the others becomes the chord's root,
+ * and every note gets a just ratio above that root. Notes that are already playing keep their tuning.
+ *
+ * Moving between just chords makes the overall pitch wander (like the comma pump), so each new root
+ * only keeps `drift` of the offset it would have from equal temperament: 0 keeps every root in 12-TET,
+ * 1 follows the just intervals between roots. The offset never gets beyond `maxDrift` cents either way.
+ * @param {{ drift?: number, maxDrift?: number }} options
+ * @returns {(number?: number, tuning?: number, root?: number, soundingNotes?: number[]) => number}
+ */
+export const createAdaptiveTuning = ({ drift = 0.5, maxDrift = 20.0 } = {}) => {
+  let previousRoot = Number.NaN;
+  // Offset of the current root from 12-TET, in cents
+  let offset = 0.0;
+
+  return (number = 0, tuning = 440.0, _root = 0, soundingNotes = undefined) => {
+    if (!soundingNotes || soundingNotes.length < 2) return midiToFrequency(number, tuning) * 2 ** (offset / 1200);
+
+    const chordRoot = findChordRoot(soundingNotes);
+
+    if (chordRoot !== previousRoot) {
+      if (!Number.isNaN(previousRoot)) {
+        const interval = chordRoot - previousRoot;
+        const deviation = justCents(interval) - interval * 100;
+        offset = Math.max(-maxDrift, Math.min(maxDrift, drift * (offset + deviation)));
+      }
+      previousRoot = chordRoot;
+    }
+
+    const key = Math.round(number);
+    const keyCents = justCents(key - chordRoot) + (number - key) * 100;
+    return midiToFrequency(chordRoot, tuning) * 2 ** ((offset + keyCents) / 1200);
+  };
+};
+
+// 5-limit just ratios of each semitone above the root, as [numerator, denominator]
+const justRatios = [
+  [1, 1],
+  [16, 15],
+  [9, 8],
+  [6, 5],
+  [5, 4],
+  [4, 3],
+  [45, 32],
+  [3, 2],
+  [8, 5],
+  [5, 3],
+  [9, 5],
+  [15, 8],
+];
+
+/**
+ * Just cents of any number of semitones, continuing up and down by octaves
+ * @param {number} semitones - a whole number
+ */
+const justCents = (semitones) => {
+  const octaves = Math.floor(semitones / 12);
+  const [numerator, denominator] = justRatios[semitones - octaves * 12];
+  return octaves * 1200 + ratioToCents(numerator / denominator);
+};
+
+/**
+ * The note whose just ratios to the other notes are the simplest, or the lowest one of those
+ * @param {number[]} notes - whole note numbers
+ */
+const findChordRoot = (notes) => {
+  let chordRoot = Number.NaN;
+  let lowestComplexity = Number.POSITIVE_INFINITY;
+
+  for (const candidate of notes) {
+    let complexity = 0;
+    for (const note of notes) {
+      const semitones = Math.round(note - candidate);
+      const [numerator, denominator] = justRatios[semitones - Math.floor(semitones / 12) * 12];
+      complexity += numerator * denominator;
+    }
+
+    if (complexity < lowestComplexity || (complexity === lowestComplexity && candidate < chordRoot)) {
+      chordRoot = Math.round(candidate);
+      lowestComplexity = complexity;
+    }
+  }
+
+  return chordRoot;
+};
+
+/**
+ * Equal division of the octave into `divisions` steps: each note number is 1 step
+ * @param {number} divisions
+ * @returns {Scale}
+ */
+export const edo = (divisions) => ({
+  description: `${divisions} equal divisions of the octave`,
+  cents: Array.from({ length: divisions }, (_, index) => ((index + 1) * 1200) / divisions),
+});
+
+/**
+ * A 12 note scale built from a chain of fifths, like many historical tunings
+ * @param {string} description
+ * @param {number} fifth - in cents
+ * @param {number} lowest - how many fifths below C the chain starts
+ * @returns {Scale}
+ */
+const chainOfFifths = (description, fifth, lowest) => {
+  const notes = [];
+
+  for (let step = lowest; step < lowest + 12; step++) {
+    const noteCents = step * fifth;
+    notes.push(noteCents - Math.floor(noteCents / 1200) * 1200);
+  }
+
+  notes.sort((a, b) => a - b);
+  return { description, cents: [...notes.slice(1), 1200] };
+};
+
+/**
+ * @param {string} description
+ * @param {number[]} ratios - of the 12 notes, starting from 1
+ * @returns {Scale}
+ */
+const fromRatios = (description, ratios) => ({
+  description,
+  cents: [...ratios.slice(1).map(ratioToCents), 1200],
+});
+
+/**
+ * @param {number} ratio
+ */
+const ratioToCents = (ratio) => 1200 * Math.log2(ratio);
+
+const pureFifth = ratioToCents(3 / 2);
+const syntonicComma = ratioToCents(81 / 80);
+
+/** Pure fifths from D♭ to F♯: very clean fifths, but sharp thirds and a wolf fifth */
+export const pythagorean = chainOfFifths("Pythagorean", pureFifth, -5);
+
+/** Quarter-comma meantone from E♭ to G♯: pure major thirds, but unusable in distant keys */
+export const meantone = chainOfFifths("1/4-comma meantone", pureFifth - syntonicComma / 4, -3);
+
+/** A well-temperament: every key is usable, but each one has a different character */
+export const werckmeister = {
+  description: "Werckmeister III",
+  cents: [90.225, 192.18, 294.135, 390.225, 498.045, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18, 1200],
+};
+
+/** A well-temperament that's a bit closer to equal temperament than `werckmeister` */
+export const vallotti = {
+  description: "Vallotti",
+  cents: [94.135, 196.09, 298.045, 392.18, 501.955, 592.18, 698.045, 796.09, 894.135, 1000.0, 1090.225, 1200],
+};
+
+/** Just intonation with the 7th harmonic: bluesy minor sevenths and tritones */
+export const just7Limit = fromRatios("7-limit just intonation", [
+  1,
+  16 / 15,
+  8 / 7,
+  6 / 5,
+  5 / 4,
+  4 / 3,
+  7 / 5,
+  3 / 2,
+  8 / 5,
+  5 / 3,
+  7 / 4,
+  15 / 8,
+]);
+
+/**
+ * Scala files can have ratios like `3/2` or `2`, or cents like `701.955`
+ * @param {string} line
+ */
+const parsePitch = (line) => {
+  const value = line.split(/\s+/)[0];
+
+  if (value.includes(".")) {
+    const cents = Number(value);
+    if (Number.isNaN(cents)) throw new SyntaxError(`Invalid cents value "${value}"`);
+    return cents;
+  }
+
+  const [numerator, denominator = "1"] = value.split("/");
+  const ratio = Number(numerator) / Number(denominator);
+  if (!(ratio > 0)) throw new SyntaxError(`Invalid ratio "${value}"`);
+  return ratioToCents(ratio);
+};
+
+/**
+ * Lines without comments (lines starting with `!`), and without empty lines after the first one
+ * @param {string} text
+ */
+const withoutComments = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => !line.startsWith("!"))
+    .filter((line, index) => index === 0 || line !== "");
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @param {number} amount
+ */
+const mix = (a, b, amount) => a + amount * (b - a);